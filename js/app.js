@@ -11,8 +11,8 @@ const App = (function() {
     // State
     let isReady = false;
     let selectedMicId = null;
+    let localOnly = false; // No cloud destination chosen - recordings stay in IndexedDB
     let syncInterval = null;
-    let isSyncing = false;
     
     /**
      * Initialise the application
@@ -24,14 +24,8 @@ const App = (function() {
             // Wait for dependencies to be available
             await waitForDependencies();
             
-            // Validate configuration
-            try {
-                CONFIG.validate();
-            } catch (error) {
-                console.error('Configuration error:', error);
-                UIService.toast('Configuration error: ' + error.message, 'error');
-                throw error;
-            }
+            // Missing credentials only switch optional services off
+            CONFIG.validate().forEach(warning => console.warn('Configuration:', warning));
             
             // Initialise UI
             UIService.init();
@@ -43,12 +37,19 @@ const App = (function() {
             
             // Load saved settings
             selectedMicId = await StorageService.getSetting('selectedMic');
+            await DestinationService.load();
+            localOnly = DestinationService.getEnabled().length === 0;
+            
+            // Saved credentials for destinations that need no script loaded (Drive restores in init)
+            for (const destination of DestinationService.list()) {
+                if (destination !== DriveService && destination.restoreSession) {
+                    await destination.restoreSession();
+                }
+            }
             
             // Configure Drive service
             DriveService.configure(CONFIG.GOOGLE_CLIENT_ID, CONFIG.GOOGLE_API_KEY);
-            
-            // Check for orphaned sessions (crash recovery)
-            await checkForRecovery();
+            DriveService.setCallbacks({ onSessionChange: handleDriveSessionChange });
             
             // Set up event listeners
             setupEventListeners();
@@ -108,8 +109,11 @@ const App = (function() {
     async function startApp() {
         UIService.showScreen('main');
         
-        // Initialise Drive if not already
-        if (!DriveService.isAuthenticated()) {
+        // Initialise Drive if not already (local-only never loads Google's scripts)
+        if (localOnly) {
+            StorageService.requestPersistence();
+        }
+        if (DestinationService.isEnabled('drive') && !DriveService.isAuthenticated()) {
             try {
                 await DriveService.init();
             } catch (error) {
@@ -117,10 +121,22 @@ const App = (function() {
             }
         }
         
+        // Folder access lapses between visits and can only be asked for from a click
+        if (DestinationService.isEnabled(LocalFolderService.id) && LocalFolderService.needsPermission()) {
+            UIService.toast(`Allow access to ${LocalFolderService.getFolderName()} in Settings to keep saving recordings there`, 'warning');
+        }
+        
         // Initialise recorder with saved mic
         try {
             await RecorderService.init(selectedMicId, CONFIG.DEFAULT_BITRATE);
             
+            CONFIG.VAD_ENABLED = await StorageService.getSetting('vadEnabled', CONFIG.VAD_ENABLED);
+            CONFIG.VAD_SILENCE_MS = await StorageService.getSetting('vadSilenceMs', CONFIG.VAD_SILENCE_MS);
+            RecorderService.setVadOptions({
+                enabled: CONFIG.VAD_ENABLED,
+                silenceMs: CONFIG.VAD_SILENCE_MS
+            });
+            
             // Set up recorder callbacks
             RecorderService.setCallbacks({
                 onAudioLevel: (level) => {
@@ -134,20 +150,59 @@ const App = (function() {
                 onError: (error) => {
                     console.error('Recorder error:', error);
                     UIService.toast('Recording error: ' + error.message, 'error');
+                },
+                onVoiceActivity: (speaking) => {
+                    UIService.updateStatusMessage(speaking ? 'Recording' : 'Waiting for speech...');
+                },
+                onInputChange: ({ label, reason }) => {
+                    if (reason === 'disconnected') {
+                        UIService.toast(`Microphone disconnected, now using ${label}`, 'warning');
+                    } else if (reason !== 'manual') {
+                        UIService.toast(`Now using ${label}`, 'info');
+                    }
+                },
+                onSegment: async (segment) => {
+                    await saveRecordedAudio(segment);
+                    UIService.toast(`Part ${segment.part} saved, still recording`, 'info');
+                    syncRecordings();
                 }
             });
+            
+            applySegmentSetting(await StorageService.getSetting('segmentMode', ''));
+            applyPrerollSetting(await StorageService.getSetting('prerollSeconds', CONFIG.PREROLL_SECONDS));
+            CONFIG.BACKGROUND_POLICY = await StorageService.getSetting('backgroundPolicy', CONFIG.BACKGROUND_POLICY);
         } catch (error) {
             UIService.toast('Failed to access microphone', 'error');
         }
         
+        UIService.renderMarkerButtons(CONFIG.MARKER_LABELS);
+        setupMediaSession();
+        
+        KeepAliveService.setCallbacks({
+            onRelease: () => UIService.toast('Screen may now lock - keep the app open to keep recording', 'warning'),
+            onRiskChange: (risk) => UIService.setSuspendWarning(risk)
+        });
+        
+        // Hands-free voice commands
+        CONFIG.VOICE_COMMANDS_ENABLED = await StorageService.getSetting('voiceCommandsEnabled', CONFIG.VOICE_COMMANDS_ENABLED);
+        if (CONFIG.VOICE_COMMANDS_ENABLED) {
+            startVoiceCommands();
+        }
+        
         // Start sync interval
+        setupSyncCallbacks();
         startSyncInterval();
+        registerPeriodicSync();
+        navigator.serviceWorker?.addEventListener('message', handleWorkerMessage);
         
         // Update UI
         await updateRecordingsList();
         await updateSyncStatus();
         
         isReady = true;
+        
+        // Check for orphaned sessions (crash recovery) once the recorder can resume
+        await checkForRecovery();
     }
     
     /**
@@ -158,14 +213,19 @@ const App = (function() {
         UIService.elements.micSelect?.addEventListener('change', handleMicChange);
         UIService.elements.btnTestMic?.addEventListener('click', handleTestMic);
         UIService.elements.btnConnectDrive?.addEventListener('click', handleConnectDrive);
+        UIService.elements.btnLocalOnly?.addEventListener('click', handleChooseLocalOnly);
         UIService.elements.btnStartApp?.addEventListener('click', handleStartApp);
         
         // Main screen
         UIService.elements.btnRecord?.addEventListener('click', handleRecordToggle);
         UIService.elements.btnStop?.addEventListener('click', handleStop);
         UIService.elements.btnCancel?.addEventListener('click', handleCancel);
+        UIService.elements.markerControls?.addEventListener('click', (e) => {
+            const label = e.target.closest('.btn-marker')?.dataset.label;
+            if (label) handleAddMarker(label);
+        });
         UIService.elements.btnSettings?.addEventListener('click', () => showSettings(true));
-        UIService.elements.btnToggleRecordings?.addEventListener('click', () => UIService.toggleRecordingsPanel());
+        UIService.elements.btnToggleRecordings?.addEventListener('click', handleToggleRecordings);
         
         // Settings modal
         UIService.elements.settingsModal?.querySelector('.modal-backdrop')?.addEventListener('click', () => showSettings(false));
@@ -173,20 +233,47 @@ const App = (function() {
         UIService.elements.settingsMic?.addEventListener('change', handleSettingsMicChange);
         UIService.elements.settingsQuality?.addEventListener('change', handleSettingsQualityChange);
         UIService.elements.settingsAutosave?.addEventListener('change', handleSettingsAutosaveChange);
+        UIService.elements.settingsVad?.addEventListener('change', handleSettingsVadChange);
+        UIService.elements.settingsVadSilence?.addEventListener('change', handleSettingsVadSilenceChange);
+        UIService.elements.settingsVoiceCommands?.addEventListener('change', handleSettingsVoiceCommandsChange);
+        UIService.elements.settingsSegment?.addEventListener('change', handleSettingsSegmentChange);
+        UIService.elements.settingsPreroll?.addEventListener('change', handleSettingsPrerollChange);
+        UIService.elements.settingsBackground?.addEventListener('change', handleSettingsBackgroundChange);
+        UIService.elements.settingsDrivePath?.addEventListener('input', updateTemplatePreview);
         UIService.elements.settingsDrivePath?.addEventListener('change', handleSettingsDrivePathChange);
+        UIService.elements.settingsFileName?.addEventListener('input', updateTemplatePreview);
+        UIService.elements.settingsFileName?.addEventListener('change', handleSettingsFileNameChange);
+        UIService.elements.settingsRecordingTitle?.addEventListener('input', updateTemplatePreview);
+        UIService.elements.settingsRecordingTitle?.addEventListener('change', handleSettingsRecordingTitleChange);
         UIService.elements.settingsTranscription?.addEventListener('change', handleSettingsTranscriptionChange);
+        UIService.elements.settingsTranscriptFormat?.addEventListener('change', handleSettingsTranscriptFormatChange);
         UIService.elements.btnDisconnectDrive?.addEventListener('click', handleDisconnectDrive);
+        UIService.elements.btnDriveFolderChoose?.addEventListener('click', handleDriveFolderChoose);
+        UIService.elements.btnDriveFolderReset?.addEventListener('click', handleDriveFolderReset);
+        UIService.elements.btnSettingsConnectDrive?.addEventListener('click', handleSettingsConnectDrive);
+        UIService.elements.btnReconnectDrive?.addEventListener('click', handleReconnectDrive);
+        UIService.elements.settingsDestinations?.addEventListener('change', handleSettingsDestinationChange);
+        UIService.elements.btnWebdavSave?.addEventListener('click', handleWebdavSave);
+        UIService.elements.btnWebdavDisconnect?.addEventListener('click', handleWebdavDisconnect);
+        UIService.elements.btnS3Save?.addEventListener('click', handleS3Save);
+        UIService.elements.btnS3Disconnect?.addEventListener('click', handleS3Disconnect);
+        UIService.elements.btnLocalFolderChoose?.addEventListener('click', handleLocalFolderChoose);
+        UIService.elements.btnLocalFolderAllow?.addEventListener('click', handleLocalFolderAllow);
+        UIService.elements.btnLocalFolderDisconnect?.addEventListener('click', handleLocalFolderDisconnect);
+        UIService.elements.btnExportRecordings?.addEventListener('click', handleExportRecordings);
         UIService.elements.btnClearSynced?.addEventListener('click', handleClearSynced);
         
         // Transcription modal
         UIService.elements.transcriptionModal?.querySelector('.modal-backdrop')?.addEventListener('click', () => UIService.showTranscription(false));
         UIService.elements.btnCloseTranscription?.addEventListener('click', () => UIService.showTranscription(false));
         UIService.elements.recordingsList?.addEventListener('click', handleTranscriptionLinkClick);
+        UIService.elements.recordingsList?.addEventListener('click', handleRetryClick);
+        UIService.elements.recordingsList?.addEventListener('click', handleExportClick);
         
         // Keyboard shortcuts
         document.addEventListener('keydown', handleKeydown);
         
-        // Visibility change (for pause on tab switch)
+        // Visibility change (background policy)
         document.addEventListener('visibilitychange', handleVisibilityChange);
         
         // Before unload (save any in-progress recording)
@@ -233,6 +320,7 @@ const App = (function() {
             
             const user = DriveService.getCurrentUser();
             UIService.showDriveStatus('success', `Connected as ${user?.email || 'Unknown'}`);
+            await setDestinationEnabled('drive', true);
             checkSetupComplete();
             
         } catch (error) {
@@ -243,6 +331,31 @@ const App = (function() {
         }
     }
     
+    /**
+     * Skip the cloud entirely; a destination can be connected later from settings
+     */
+    async function handleChooseLocalOnly() {
+        for (const destination of DestinationService.getEnabled()) {
+            await setDestinationEnabled(destination.id, false);
+        }
+        UIService.showDriveStatus('success', 'Recordings will stay on this device. You can export them or connect Drive later.');
+        checkSetupComplete();
+    }
+    
+    /**
+     * Switch a sync destination on or off. With none left the app is local-only.
+     */
+    async function setDestinationEnabled(id, enabled) {
+        await DestinationService.setEnabled(id, enabled);
+        localOnly = DestinationService.getEnabled().length === 0;
+        if (localOnly) {
+            StorageService.requestPersistence();
+        }
+        
+        // A recording is only synced once every enabled destination has it
+        await SyncService.refreshAll();
+    }
+    
     async function handleStartApp() {
         await StorageService.setSetting('setupComplete', true);
         await startApp();
@@ -250,9 +363,9 @@ const App = (function() {
     
     function checkSetupComplete() {
         const micSelected = UIService.elements.micSelect.value;
-        const driveConnected = DriveService.isAuthenticated();
+        const destinationReady = DestinationService.getEnabled().some(d => d.isAuthenticated());
         
-        UIService.enableStartApp(micSelected && driveConnected);
+        UIService.enableStartApp(micSelected && (destinationReady || localOnly));
     }
     
     async function handleRecordToggle() {
@@ -261,8 +374,8 @@ const App = (function() {
         if (state === 'inactive') {
             // Start recording
             try {
-                RecorderService.start();
-                UIService.setRecordingState('recording');
+                await RecorderService.start();
+                setRecordingState('recording');
                 UIService.startTimer(() => RecorderService.getElapsedTime());
                 UIService.toast('Recording started', 'success');
             } catch (error) {
@@ -271,12 +384,12 @@ const App = (function() {
         } else if (state === 'recording') {
             // Pause recording
             RecorderService.pause();
-            UIService.setRecordingState('paused');
+            setRecordingState('paused');
             UIService.toast('Recording paused', 'info');
         } else if (state === 'paused') {
             // Resume recording
             RecorderService.resume();
-            UIService.setRecordingState('recording');
+            setRecordingState('recording');
             UIService.toast('Recording resumed', 'success');
         }
     }
@@ -284,70 +397,164 @@ const App = (function() {
     async function handleStop() {
         try {
             UIService.updateStatusMessage('Saving...');
-            UIService.setRecordingState('saving');
+            setRecordingState('saving');
             
             const recording = await RecorderService.stop();
             
             if (recording) {
-                const drivePath = await StorageService.getSetting('drivePath') || 'recordings';
-                const transcriptionEnabled = await StorageService.getSetting('transcriptionEnabled') || false;
-                
-                // Add metadata to recording object
-                recording.drivePath = drivePath;
-                recording.transcriptionEnabled = transcriptionEnabled;
-                
-                // Save to IndexedDB
-                await StorageService.saveRecording(recording);
-                
-                // Save to Supabase
-                await Supabase.uploadAndInsertMetadata(
-                    recording.blob, 
-                    recording.id, 
-                    recording.duration,
-                    transcriptionEnabled
-                );
-                
-                // 4. Start Transcription Pipeline if enabled
-                if (transcriptionEnabled) {
-                    TranscribeService.startTranscriptionPipeline(recording.id);
-                }
-                
-                UIService.toast('Recording saved locally and backed up to Supabase!', 'success');
-                await updateRecordingsList();
-                await updateSyncStatus();
+                await saveRecordedAudio(recording);
                 
                 // Attempt immediate Drive sync
                 await syncRecordings();
             }
             
-            UIService.setRecordingState('inactive');
+            setRecordingState('inactive');
             UIService.stopTimer();
             
         } catch (error) {
             console.error('Failed to stop recording:', error);
             UIService.toast('Failed to stop recording: ' + error.message, 'error');
-            UIService.setRecordingState('inactive');
+            setRecordingState('inactive');
             UIService.stopTimer();
         }
     }
     
+    /**
+     * Save a finished (or recovered) recording locally, back it up to
+     * Supabase and start transcription if enabled
+     */
+    async function saveRecordedAudio(recording) {
+        const transcriptionEnabled = await StorageService.getSetting('transcriptionEnabled') || false;
+        const title = await StorageService.getSetting('recordingTitle');
+        
+        // Add metadata to recording object
+        recording.transcriptionEnabled = transcriptionEnabled;
+        
+        // Save to IndexedDB; the folder and file name come from the templates in settings
+        const metadata = {
+            duration: recording.duration,
+            mimeType: recording.mimeType,
+            sessionId: recording.sessionId,
+            transcriptionEnabled
+        };
+        if (title) metadata.title = title;
+        if (recording.device) metadata.device = recording.device;
+        if (recording.timestamp) metadata.timestamp = recording.timestamp;
+        if (recording.part) metadata.part = recording.part;
+        if (recording.prerollSeconds) metadata.prerollSeconds = recording.prerollSeconds;
+        if (recording.resumedFrom) metadata.resumedFrom = recording.resumedFrom;
+        if (recording.recovered) metadata.recovered = true;
+        if (recording.markers?.length) metadata.markers = recording.markers;
+        if (recording.skippedIntervals?.length) {
+            // Duration only counts recorded audio; these explain the gaps
+            metadata.skippedIntervals = recording.skippedIntervals;
+            metadata.skippedDuration = recording.skippedIntervals.reduce((total, i) => total + i.duration, 0);
+        }
+        
+        // IndexedDB assigns the ID; Drive and the Supabase mirror are queued from here
+        const saved = await StorageService.saveRecording(recording.blob, metadata);
+        recording.id = saved.id;
+        
+        // Once it is a normal recording, the crash-recovery copy can go
+        if (recording.recoveryKey) {
+            await StorageService.clearRecoveryData(recording.recoveryKey);
+        }
+        
+        UIService.toast('Recording saved', 'success');
+        await updateRecordingsList();
+        await updateSyncStatus();
+    }
+    
     async function handleCancel() {
-        if (RecorderService.getState() !== 'inactive') {
-            RecorderService.cancel();
-            UIService.setRecordingState('inactive');
-            UIService.stopTimer();
+        if (RecorderService.getState() === 'inactive') return;
+        
+        try {
+            await RecorderService.cancel();
             UIService.toast('Recording cancelled', 'info');
+        } catch (error) {
+            // The saved chunks may still be there and be offered for recovery next time
+            console.error('Failed to cancel recording:', error);
+            UIService.toast('Failed to cancel recording: ' + error.message, 'error');
+        } finally {
+            setRecordingState('inactive');
+            UIService.stopTimer();
+        }
+    }
+    
+    /**
+     * Drop a marker in the running recording.
+     * Returns false if there is no recording to mark.
+     */
+    function handleAddMarker(label = CONFIG.MARKER_LABELS[0]) {
+        if (RecorderService.getState() === 'inactive') {
+            return false;
+        }
+        
+        const marker = RecorderService.addMarker(label);
+        const mins = Math.floor(marker.time / 60);
+        const secs = (marker.time % 60).toString().padStart(2, '0');
+        UIService.toast(`Marked "${label}" at ${mins}:${secs}`, 'info');
+        return marker;
+    }
+    
+    /**
+     * Close the current part and carry straight on with the next one
+     */
+    function handleNewSegment() {
+        if (RecorderService.getState() === 'inactive') {
+            return false;
+        }
+        
+        RecorderService.newSegment();
+        setRecordingState('recording');
+        UIService.toast('New segment started', 'info');
+    }
+    
+    /**
+     * Every recording state transition goes through here so the screen and
+     * the media session (headset, car display) always agree
+     */
+    function setRecordingState(state) {
+        UIService.setRecordingState(state);
+        MediaSessionService.setState(state);
+        
+        if (state === 'recording' || state === 'paused') {
+            KeepAliveService.start();
+        } else if (state === 'inactive' || state === 'idle') {
+            KeepAliveService.stop();
         }
     }
     
+    /**
+     * Map headset and steering-wheel buttons onto the same handlers as the screen
+     */
+    function setupMediaSession() {
+        MediaSessionService.init({
+            play: () => {
+                const state = RecorderService.getState();
+                if (state === 'inactive' || state === 'paused') handleRecordToggle();
+            },
+            pause: () => {
+                if (RecorderService.getState() === 'recording') handleRecordToggle();
+            },
+            stop: () => {
+                if (RecorderService.getState() !== 'inactive') handleStop();
+            },
+            newSegment: handleNewSegment,
+            mark: () => handleAddMarker()
+        }, () => RecorderService.getElapsedTime());
+        
+        MediaSessionService.setState(RecorderService.getState());
+    }
+    
     async function handleSettingsMicChange(e) {
         const newMicId = e.target.value;
         await StorageService.setSetting('selectedMic', newMicId);
         selectedMicId = newMicId;
         
-        // Re-initialise recorder with new mic
+        // Swap the input in place - an active recording carries on
         try {
-            await RecorderService.init(selectedMicId, CONFIG.DEFAULT_BITRATE);
+            await RecorderService.switchInput(selectedMicId);
             UIService.toast('Microphone updated', 'success');
         } catch (error) {
             UIService.toast('Failed to switch microphone', 'error');
@@ -375,10 +582,144 @@ const App = (function() {
         UIService.toast(`Autosave ${autosaveEnabled ? 'enabled' : 'disabled'}`, 'info');
     }
     
+    async function handleSettingsVadChange(e) {
+        const vadEnabled = e.target.checked;
+        await StorageService.setSetting('vadEnabled', vadEnabled);
+        CONFIG.VAD_ENABLED = vadEnabled;
+        RecorderService.setVadOptions({ enabled: vadEnabled });
+        UIService.elements.settingsVadSilence.disabled = !vadEnabled;
+        UIService.toast(`Silence skipping ${vadEnabled ? 'enabled' : 'disabled'}`, 'info');
+    }
+    
+    async function handleSettingsVadSilenceChange(e) {
+        const silenceMs = parseInt(e.target.value);
+        await StorageService.setSetting('vadSilenceMs', silenceMs);
+        CONFIG.VAD_SILENCE_MS = silenceMs;
+        RecorderService.setVadOptions({ silenceMs });
+        UIService.toast('Silence window updated', 'success');
+    }
+    
+    async function handleSettingsPrerollChange(e) {
+        const seconds = parseInt(e.target.value) || 0;
+        await StorageService.setSetting('prerollSeconds', seconds);
+        applyPrerollSetting(seconds);
+        UIService.toast(seconds ? `Mic armed: keeping the last ${seconds}s` : 'Mic disarmed', 'info');
+    }
+    
+    /**
+     * Arm the mic for pre-roll (0 disarms it)
+     */
+    function applyPrerollSetting(seconds) {
+        CONFIG.PREROLL_SECONDS = seconds;
+        
+        try {
+            if (seconds > 0) {
+                RecorderService.arm(seconds);
+            } else {
+                RecorderService.disarm();
+            }
+        } catch (error) {
+            console.error('Failed to arm microphone:', error);
+            seconds = 0;
+        }
+        UIService.setArmed(seconds > 0, seconds);
+    }
+    
+    async function handleSettingsBackgroundChange(e) {
+        const policy = e.target.value;
+        await StorageService.setSetting('backgroundPolicy', policy);
+        CONFIG.BACKGROUND_POLICY = policy;
+        UIService.toast('Background behaviour updated', 'success');
+    }
+    
+    async function handleSettingsSegmentChange(e) {
+        const segmentMode = e.target.value;
+        await StorageService.setSetting('segmentMode', segmentMode);
+        applySegmentSetting(segmentMode);
+        UIService.toast(segmentMode ? 'Long recordings will be split' : 'Splitting disabled', 'info');
+    }
+    
+    /**
+     * Apply a segment setting of the form 'duration:<seconds>', 'size:<bytes>'
+     * or 'silence:<ms>' ('' turns splitting off)
+     */
+    function applySegmentSetting(segmentMode) {
+        const [type, value] = (segmentMode || '').split(':');
+        const amount = parseInt(value) || 0;
+        
+        CONFIG.SEGMENT_MODE = segmentMode || '';
+        RecorderService.setSegmentOptions({
+            enabled: !!type,
+            maxDurationSec: type === 'duration' ? amount : 0,
+            maxBytes: type === 'size' ? amount : 0,
+            splitOnSilenceMs: type === 'silence' ? amount : 0
+        });
+    }
+    
+    async function handleSettingsVoiceCommandsChange(e) {
+        const enabled = e.target.checked;
+        await StorageService.setSetting('voiceCommandsEnabled', enabled);
+        CONFIG.VOICE_COMMANDS_ENABLED = enabled;
+        
+        if (enabled) {
+            startVoiceCommands();
+        } else {
+            VoiceCommandService.stop();
+        }
+        UIService.toast(`Voice commands ${enabled ? 'enabled' : 'disabled'}`, 'info');
+    }
+    
     async function handleSettingsDrivePathChange(e) {
-        const drivePath = e.target.value;
-        await StorageService.setSetting('drivePath', drivePath);
-        UIService.toast('Drive folder path updated', 'success');
+        const template = e.target.value.trim();
+        if (TemplateService.validate(template).length > 0) {
+            UIService.toast('Folder path not saved - fix the template first', 'error');
+            return;
+        }
+        
+        await StorageService.setSetting('pathTemplate', template);
+        UIService.toast('Folder path updated', 'success');
+    }
+    
+    async function handleSettingsFileNameChange(e) {
+        const template = e.target.value.trim();
+        if (TemplateService.validate(template, true).length > 0) {
+            UIService.toast('File name not saved - fix the template first', 'error');
+            return;
+        }
+        
+        await StorageService.setSetting('fileNameTemplate', template);
+        UIService.toast('File name updated', 'success');
+    }
+    
+    async function handleSettingsRecordingTitleChange(e) {
+        await StorageService.setSetting('recordingTitle', e.target.value.trim());
+        updateTemplatePreview();
+    }
+    
+    /**
+     * Show where a recording made now would be saved, or what is wrong with
+     * the templates
+     */
+    function updateTemplatePreview() {
+        const { settingsDrivePath, settingsFileName, settingsRecordingTitle } = UIService.elements;
+        const errors = [
+            ...TemplateService.validate(settingsDrivePath.value),
+            ...TemplateService.validate(settingsFileName.value, true)
+        ];
+        if (errors.length > 0) {
+            UIService.setTemplatePreview(errors.join('. '), true);
+            return;
+        }
+        
+        const values = {
+            date: new Date(),
+            device: RecorderService.getInputLabel() || 'Microphone',
+            tag: 'important',
+            title: settingsRecordingTitle.value.trim()
+        };
+        const path = TemplateService.renderPath(settingsDrivePath.value, values);
+        const fileName = TemplateService.renderFileName(settingsFileName.value, values);
+        UIService.setTemplatePreview(`${path}/${fileName}`, false);
     }
     
     async function handleSettingsTranscriptionChange(e) {
@@ -387,6 +728,11 @@ const App = (function() {
         UIService.toast(`Transcription ${transcriptionEnabled ? 'enabled' : 'disabled'}`, 'info');
     }
     
+    async function handleSettingsTranscriptFormatChange(e) {
+        await StorageService.setSetting('transcriptFormat', e.target.value);
+        UIService.toast(e.target.value === 'off' ? 'Transcripts will not be saved to Drive' : 'Transcript format updated', 'info');
+    }
+    
     async function showSettings(show) {
         if (show) {
             const settings = {
@@ -394,12 +740,36 @@ const App = (function() {
                 selectedMic: selectedMicId,
                 quality: CONFIG.DEFAULT_BITRATE,
                 autosave: CONFIG.AUTOSAVE_ENABLED,
-                drivePath: await StorageService.getSetting('drivePath') || 'recordings',
+                vad: CONFIG.VAD_ENABLED,
+                vadSilenceMs: CONFIG.VAD_SILENCE_MS,
+                prerollSeconds: CONFIG.PREROLL_SECONDS,
+                segmentMode: CONFIG.SEGMENT_MODE,
+                backgroundPolicy: CONFIG.BACKGROUND_POLICY,
+                voiceCommands: CONFIG.VOICE_COMMANDS_ENABLED,
+                voiceCommandsSupported: VoiceCommandService.isSupported(),
+                localOnly,
+                destinations: DestinationService.list().filter(d => d.isSupported?.() !== false).map(destination => ({
+                    id: destination.id,
+                    name: destination.name,
+                    enabled: DestinationService.isEnabled(destination.id),
+                    connected: destination.isAuthenticated()
+                })),
+                webdav: WebDAVService.getServer(),
+                s3: S3Service.getBucket(),
+                localFolder: LocalFolderService.isSupported() ? {
+                    name: LocalFolderService.getFolderName(),
+                    needsPermission: LocalFolderService.needsPermission()
+                } : null,
+                templates: await StorageService.getTemplates(),
+                recordingTitle: await StorageService.getSetting('recordingTitle') || '',
                 transcription: await StorageService.getSetting('transcriptionEnabled') || false,
+                transcriptFormat: await StorageService.getSetting('transcriptFormat') || 'doc',
                 driveUser: DriveService.getCurrentUser(),
-                storage: await DriveService.getStorageQuota()
+                driveFolder: DriveService.getFolder(),
+                storage: await StorageService.getStorageEstimate()
             };
             UIService.updateSettings(settings);
+            updateTemplatePreview();
         }
         UIService.showSettings(show);
     }
@@ -414,6 +784,263 @@ const App = (function() {
         }
     }
     
+    /**
+     * Pick the Drive folder (possibly in a Shared Drive) recordings go into.
+     * Recordings already uploaded stay where they are.
+     */
+    async function handleDriveFolderChoose() {
+        try {
+            const folder = await DriveService.chooseFolder();
+            if (!folder) return;
+            
+            UIService.toast(`New recordings will be saved in ${folder.name}`, 'success');
+            await showSettings(true);
+        } catch (error) {
+            console.error('Failed to choose Drive folder:', error);
+            UIService.toast('Could not choose folder: ' + error.message, 'error');
+        }
+    }
+    
+    async function handleDriveFolderReset() {
+        await DriveService.resetFolder();
+        UIService.toast('New recordings will be saved in My Drive', 'info');
+        await showSettings(true);
+    }
+    
+    /**
+     * Connect Drive after starting local-only; the backlog then uploads
+     */
+    async function handleSettingsConnectDrive() {
+        try {
+            if (!DriveService.isLoaded()) {
+                await DriveService.init();
+            }
+            if (!DriveService.isAuthenticated()) {
+                await DriveService.signIn();
+            }
+            
+            await setDestinationEnabled('drive', true);
+            
+            const backlog = (await StorageService.getUnsyncedRecordings()).length;
+            UIService.toast(backlog ? `Connected. Uploading ${backlog} saved recording(s)` : 'Connected to Google Drive', 'success');
+            await showSettings(true);
+            syncRecordings();
+        } catch (error) {
+            console.error('Drive sign in error:', error);
+            UIService.toast('Failed to connect: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * The Drive token could not be renewed silently. Uploads wait and a banner
+     * offers to reconnect - never a popup, which could appear mid-drive.
+     */
+    async function handleDriveSessionChange(needsReconnect) {
+        UIService.setReconnectBanner(needsReconnect && DestinationService.isEnabled('drive'));
+        
+        if (isReady) {
+            if (needsReconnect) {
+                await updateSyncStatus();
+            } else {
+                syncRecordings();
+            }
+        }
+    }
+    
+    async function handleReconnectDrive() {
+        try {
+            await DriveService.signIn();
+            UIService.toast('Reconnected to Google Drive', 'success');
+        } catch (error) {
+            console.error('Drive reconnect failed:', error);
+            UIService.toast('Failed to reconnect: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Turn a destination on (authenticating first) or off from settings
+     */
+    async function handleSettingsDestinationChange(e) {
+        const id = e.target.dataset.destination;
+        const destination = DestinationService.get(id);
+        if (!destination) return;
+        
+        try {
+            if (e.target.checked && !destination.isAuthenticated()) {
+                await destination.authenticate();
+            }
+            await setDestinationEnabled(id, e.target.checked);
+            UIService.toast(`${destination.name} ${e.target.checked ? 'enabled' : 'disabled'}`, 'info');
+        } catch (error) {
+            console.error(`Failed to connect ${destination.name}:`, error);
+            UIService.toast(`Failed to connect ${destination.name}: ${error.message}`, 'error');
+        }
+        
+        await showSettings(true);
+        await updateRecordingsList();
+        syncRecordings();
+    }
+    
+    /**
+     * Check the WebDAV details against the server, then start uploading there
+     */
+    async function handleWebdavSave() {
+        const button = UIService.elements.btnWebdavSave;
+        button.disabled = true;
+        
+        try {
+            await WebDAVService.configure({
+                url: UIService.elements.settingsWebdavUrl.value,
+                username: UIService.elements.settingsWebdavUsername.value,
+                password: UIService.elements.settingsWebdavPassword.value
+            });
+            await setDestinationEnabled(WebDAVService.id, true);
+            
+            UIService.toast('Connected to WebDAV', 'success');
+            await showSettings(true);
+            await updateRecordingsList();
+            syncRecordings();
+        } catch (error) {
+            console.error('WebDAV connection failed:', error);
+            // A TypeError here is almost always CORS or an unreachable server
+            const message = error instanceof TypeError ? 'Could not reach the server (check the URL and CORS)' : error.message;
+            UIService.toast('Failed to connect: ' + message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    async function handleWebdavDisconnect() {
+        await WebDAVService.signOut();
+        await setDestinationEnabled(WebDAVService.id, false);
+        UIService.toast('Disconnected from WebDAV', 'info');
+        await showSettings(true);
+        await updateRecordingsList();
+        await updateSyncStatus();
+    }
+    
+    /**
+     * Check the bucket details with a test object, then start uploading there
+     */
+    async function handleS3Save() {
+        const button = UIService.elements.btnS3Save;
+        button.disabled = true;
+        
+        try {
+            await S3Service.configure({
+                endpoint: UIService.elements.settingsS3Endpoint.value,
+                region: UIService.elements.settingsS3Region.value,
+                bucket: UIService.elements.settingsS3Bucket.value,
+                prefix: UIService.elements.settingsS3Prefix.value,
+                accessKeyId: UIService.elements.settingsS3AccessKey.value,
+                secretAccessKey: UIService.elements.settingsS3SecretKey.value
+            });
+            await setDestinationEnabled(S3Service.id, true);
+            
+            UIService.toast('Connected to S3', 'success');
+            await showSettings(true);
+            await updateRecordingsList();
+            syncRecordings();
+        } catch (error) {
+            console.error('S3 connection failed:', error);
+            const message = error instanceof TypeError ? 'Could not reach the bucket (check the endpoint and CORS)' : error.message;
+            UIService.toast('Failed to connect: ' + message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    async function handleS3Disconnect() {
+        await S3Service.signOut();
+        await setDestinationEnabled(S3Service.id, false);
+        UIService.toast('Disconnected from S3', 'info');
+        await showSettings(true);
+        await updateRecordingsList();
+        await updateSyncStatus();
+    }
+    
+    /**
+     * Pick a folder to save recordings into; works with or without a cloud destination
+     */
+    async function handleLocalFolderChoose() {
+        try {
+            const name = await LocalFolderService.chooseFolder();
+            await setDestinationEnabled(LocalFolderService.id, true);
+            
+            UIService.toast(`Saving recordings to ${name}`, 'success');
+            await showSettings(true);
+            syncRecordings();
+        } catch (error) {
+            // Closing the picker is not an error
+            if (error.name === 'AbortError') return;
+            console.error('Failed to choose folder:', error);
+            UIService.toast('Failed to choose folder: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Browsers forget folder access between visits; asking again needs a click
+     */
+    async function handleLocalFolderAllow() {
+        try {
+            await LocalFolderService.authenticate();
+            UIService.toast(`Saving recordings to ${LocalFolderService.getFolderName()} again`, 'success');
+            await showSettings(true);
+            syncRecordings();
+        } catch (error) {
+            console.error('Folder permission not granted:', error);
+            UIService.toast(error.message, 'error');
+        }
+    }
+    
+    async function handleLocalFolderDisconnect() {
+        await LocalFolderService.signOut();
+        await setDestinationEnabled(LocalFolderService.id, false);
+        UIService.toast('Stopped saving to the folder', 'info');
+        await showSettings(true);
+        await updateRecordingsList();
+        await updateSyncStatus();
+    }
+    
+    async function handleExportClick(e) {
+        const button = e.target.closest('.btn-export');
+        if (!button) return;
+        
+        const recording = await StorageService.getRecording(parseInt(button.dataset.id));
+        if (recording) {
+            await exportRecording(recording);
+            await updateRecordingsList();
+        }
+    }
+    
+    /**
+     * Download every recording that has not been exported yet
+     */
+    async function handleExportRecordings() {
+        const recordings = (await StorageService.getAllRecordings()).filter(r => r.blob && !r.sync?.export);
+        
+        if (recordings.length === 0) {
+            UIService.toast('Nothing new to export', 'info');
+            return;
+        }
+        
+        // Oldest first, so the downloads folder reads in order
+        for (const recording of recordings.reverse()) {
+            await exportRecording(recording);
+        }
+        
+        UIService.toast(`Exported ${recordings.length} recording(s)`, 'success');
+        await updateRecordingsList();
+    }
+    
+    async function exportRecording(recording) {
+        UIService.downloadFile(recording.blob, recording.fileName || `recording_${recording.id}.webm`);
+        await StorageService.updateSyncState(recording.id, 'export', {
+            status: 'synced',
+            syncedAt: new Date().toISOString()
+        });
+    }
+    
     async function handleClearSynced() {
         if (confirm('Are you sure you want to clear all synced recordings from local storage? This will not delete files from Google Drive.')) {
             try {
@@ -442,7 +1069,12 @@ const App = (function() {
                 if (error) throw error;
                 
                 if (data && data.transcription_text) {
-                    UIService.showTranscription(data.transcription_text);
+                    const localRecording = await StorageService.getRecording(Number(recordId));
+                    UIService.showTranscription(data.transcription_text, localRecording?.markers || []);
+                    
+                    // Picks up edits made to the transcript since it was saved to Drive
+                    saveTranscript(recordId, data.transcription_text)
+                        .catch(error => console.warn('Failed to save transcript:', error));
                 } else {
                     UIService.toast('Transcription not available yet', 'info');
                 }
@@ -454,18 +1086,36 @@ const App = (function() {
     }
     
     function handleKeydown(e) {
+        // Typing in settings fields (templates, titles, passwords) is not a shortcut
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+        
         if (e.key === ' ' && isReady) { // Spacebar to toggle record
             e.preventDefault();
             handleRecordToggle();
         } else if (e.key === 'Escape' && RecorderService.getState() !== 'inactive') { // Escape to cancel
             e.preventDefault();
             handleCancel();
+        } else if (e.key === 'm' && RecorderService.getState() !== 'inactive') { // M to drop a marker
+            e.preventDefault();
+            handleAddMarker();
         }
     }
     
+    /**
+     * Apply the background policy when the page hides. The wake lock is
+     * re-acquired by KeepAliveService when the page comes back.
+     */
     function handleVisibilityChange() {
-        if (document.visibilityState === 'hidden' && RecorderService.getState() === 'recording' && CONFIG.AUTOSAVE_ENABLED) {
-            // Auto-save on tab switch if autosave is enabled
+        if (document.visibilityState !== 'hidden' || RecorderService.getState() !== 'recording') return;
+        
+        if (CONFIG.BACKGROUND_POLICY === 'pause') {
+            RecorderService.pause();
+            setRecordingState('paused');
+            UIService.updateStatusMessage('Paused while in background');
+        } else if (CONFIG.BACKGROUND_POLICY === 'save') {
             handleStop();
         }
     }
@@ -482,6 +1132,48 @@ const App = (function() {
         }
     }
     
+    // Voice Commands
+    
+    /**
+     * Listen for spoken commands, driving the same handlers as the buttons.
+     * Handlers return false when a command does not apply in the current state.
+     */
+    function startVoiceCommands(recogniser = null) {
+        VoiceCommandService.setCallbacks({
+            onCommand: (name) => console.log('Voice command handled:', name),
+            onError: (error) => UIService.toast(error.message, 'error')
+        });
+        
+        try {
+            VoiceCommandService.start({
+                start: () => {
+                    if (RecorderService.getState() !== 'inactive') return false;
+                    return handleRecordToggle();
+                },
+                pause: () => {
+                    if (RecorderService.getState() !== 'recording') return false;
+                    return handleRecordToggle();
+                },
+                resume: () => {
+                    if (RecorderService.getState() !== 'paused') return false;
+                    return handleRecordToggle();
+                },
+                stop: () => {
+                    if (RecorderService.getState() === 'inactive') return false;
+                    return handleStop();
+                },
+                cancel: () => {
+                    if (RecorderService.getState() === 'inactive') return false;
+                    return handleCancel();
+                },
+                mark: () => handleAddMarker()
+            }, recogniser);
+        } catch (error) {
+            console.error('Failed to start voice commands:', error);
+            UIService.toast('Voice commands unavailable: ' + error.message, 'error');
+        }
+    }
+    
     // Sync Logic
     
     function startSyncInterval() {
@@ -491,123 +1183,426 @@ const App = (function() {
         syncInterval = setInterval(syncRecordings, CONFIG.SYNC_INTERVAL_MS);
     }
     
+    /**
+     * Sync the local queue. Each destination and the Supabase mirror are
+     * retried independently, so one being unreachable never blocks the others.
+     */
     async function syncRecordings() {
-        if (isSyncing || !DriveService.isAuthenticated()) {
+        // Offline, only a local folder can be written to
+        const online = navigator.onLine;
+        
+        try {
+            await syncToDestinations(online);
+            if (online) {
+                await syncToMirror();
+                await publishPendingTranscripts();
+                await reconcileWithDrive();
+            }
+        } finally {
+            await updateRecordingsList();
+            const pendingCount = await updateSyncStatus();
+            
+            // Anything left over can finish once the connection is back, even after the app is closed
+            if (pendingCount > 0 && hasConnectedDestination()) {
+                requestBackgroundSync();
+            }
+        }
+    }
+    
+    async function syncToDestinations(online = true) {
+        if (!hasConnectedDestination()) {
             return;
         }
         
-        isSyncing = true;
         UIService.setSyncStatus('syncing');
         
         try {
-            // Use Supabase as the source of truth for unsynced recordings
-            const unsynced = await Supabase.getUnsyncedToDriveRecords();
+            // IndexedDB is the source of truth for what still needs uploading
+            const results = await SyncService.syncDestinations((id, progress) =>
+                UIService.setUploadProgress(id, progress ? progress.percent : null), { offlineOnly: !online });
+            
+            const failed = Object.values(results).reduce((sum, summary) => sum + (summary?.failed || 0), 0);
+            if (failed) {
+                UIService.toast(`${failed} upload(s) could not be completed. Tap Retry to try again.`, 'error');
+            }
+        } catch (error) {
+            console.error('Sync failed:', error);
+            UIService.toast('Sync failed: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Check the list against Drive: deleted and moved recordings, and ones
+     * only in Drive (see ReconcileService)
+     */
+    async function reconcileWithDrive(force = false) {
+        try {
+            const summary = await ReconcileService.run({ force });
+            if (summary?.missing) {
+                UIService.toast(`${summary.missing} recording(s) were deleted from Google Drive. Tap Retry to upload again.`, 'info');
+            }
+            if (summary) await updateRecordingsList();
+        } catch (error) {
+            console.warn('Could not check recordings against Drive:', error);
+        }
+    }
+    
+    /**
+     * Opening the list checks Drive again if the last check was a while ago
+     */
+    function handleToggleRecordings() {
+        if (UIService.toggleRecordingsPanel() && navigator.onLine) {
+            reconcileWithDrive();
+        }
+    }
+    
+    /**
+     * Keep a finished or edited transcript with its recording and save a copy
+     * next to the audio on Drive. The Drive copy is updated in place when the
+     * text changes.
+     */
+    async function saveTranscript(recordId, text) {
+        const recording = await StorageService.getRecording(Number(recordId));
+        if (!recording) return; // Already cleared from this device
+        
+        const previous = recording.transcript || {};
+        const transcript = previous.text === text
+            ? previous
+            : { ...previous, text, updatedAt: new Date().toISOString() };
+        if (transcript !== previous) {
+            await StorageService.updateRecording(recording.id, { transcript });
+        }
+        
+        await publishTranscript({ ...recording, transcript });
+    }
+    
+    /**
+     * Upload a recording's transcript to Drive if it is new, edited or the
+     * format changed. Waits (without counting as a failure) until the audio
+     * itself is on Drive; the next sync tries again.
+     */
+    async function publishTranscript(recording) {
+        const { transcript } = recording;
+        const format = await StorageService.getSetting('transcriptFormat') || 'doc';
+        const audio = SyncService.getState(recording, 'drive');
+        
+        if (!transcript?.text || format === 'off') return;
+        if (transcript.syncedAt && transcript.syncedAt >= transcript.updatedAt && transcript.format === format) return;
+        if (audio.status !== 'synced' || !audio.remoteId || !DriveService.isAuthenticated()) return;
+        
+        try {
+            const file = await DriveService.saveTranscript(audio.remoteId, {
+                ...TranscribeService.formatTranscript(recording, transcript.text, format),
+                fileId: transcript.driveFileId
+            });
             
-            if (unsynced.length === 0) {
-                UIService.setSyncStatus('synced');
-                isSyncing = false;
-                return;
+            await StorageService.updateRecording(recording.id, {
+                transcript: { ...transcript, format, driveFileId: file.fileId, syncedAt: new Date().toISOString() }
+            });
+        } catch (error) {
+            console.warn(`Transcript for ${recording.id} not saved to Drive, will try again:`, error.message);
+        }
+    }
+    
+    /**
+     * Publish transcripts that are new or changed, including ones edited in
+     * Supabase since they were saved here
+     */
+    async function publishPendingTranscripts() {
+        const recordings = (await StorageService.getAllRecordings())
+            .filter(r => r.transcript || r.transcriptionEnabled);
+        
+        let latest = new Map();
+        if (Supabase.isConfigured() && recordings.length > 0) {
+            try {
+                latest = await Supabase.getTranscriptions(recordings.map(r => r.id));
+            } catch (error) {
+                console.warn('Could not check transcripts for edits:', error.message);
             }
+        }
+        
+        for (const recording of recordings) {
+            const text = latest.get(String(recording.id));
+            if (text && text !== recording.transcript?.text) {
+                await saveTranscript(recording.id, text);
+            } else if (recording.transcript) {
+                await publishTranscript(recording);
+            }
+        }
+    }
+    
+    /**
+     * Back recordings up to Supabase, if it is configured
+     */
+    async function syncToMirror() {
+        if (!Supabase.isConfigured() || SyncService.isActive('supabase')) {
+            return;
+        }
+        
+        try {
+            const recordings = (await StorageService.getAllRecordings())
+                .filter(r => r.blob && SyncService.isDue(r, 'supabase'));
             
-            console.log(`Starting sync for ${unsynced.length} recordings...`);
+            if (recordings.length > 0) {
+                await SyncService.run(recordings, (recording) => Supabase.uploadAndInsertMetadata(
+                    recording.blob,
+                    recording.id,
+                    recording.duration,
+                    {
+                        synced: SyncService.getState(recording, 'drive').status === 'synced',
+                        driveId: SyncService.getState(recording, 'drive').remoteId
+                    }
+                ), 'supabase');
+            }
+        } catch (error) {
+            // The mirror is optional - log it and leave the recordings queued
+            console.error('Supabase mirror failed:', error);
+        }
+    }
+    
+    function hasConnectedDestination() {
+        return DestinationService.getEnabled().some(destination => destination.isAuthenticated());
+    }
+    
+    // Background Sync
+    
+    /**
+     * Ask the service worker to upload the queue when the browser next has a
+     * connection, even if the app has been closed
+     */
+    async function requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if ('sync' in registration) {
+                await registration.sync.register('upload-recordings');
+            }
+        } catch (error) {
+            console.warn('Background sync not available:', error);
+        }
+    }
+    
+    /**
+     * Also check the queue periodically where the browser allows it
+     * (installed PWAs with some site engagement)
+     */
+    async function registerPeriodicSync() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!('periodicSync' in registration)) return;
             
-            for (const recording of unsynced) {
-                // 1. Upload to Drive
-                // Ensure we have the blob. If it's from Supabase, we might need to fetch it, 
-                // but if it's from local storage, it's already there.
-                const localRecording = await StorageService.getRecording(recording.id);
-                if (!localRecording || !localRecording.blob) {
-                    console.error('Recording blob not found for sync:', recording.id);
-                    continue;
+            const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (status.state === 'granted') {
+                await registration.periodicSync.register('upload-recordings', {
+                    minInterval: CONFIG.PERIODIC_SYNC_INTERVAL_MS
+                });
+            }
+        } catch (error) {
+            console.warn('Periodic background sync not available:', error);
+        }
+    }
+    
+    /**
+     * Progress from uploads running in the service worker
+     */
+    function handleWorkerMessage(event) {
+        const message = event.data || {};
+        
+        switch (message.type) {
+            case 'SYNC_PROGRESS':
+                UIService.setUploadProgress(message.id, message.percent);
+                break;
+            case 'SYNC_ITEM':
+                UIService.setUploadProgress(message.id, null);
+                updateRecordingsList();
+                break;
+            case 'SYNC_COMPLETE':
+                updateRecordingsList();
+                updateSyncStatus();
+                break;
+        }
+    }
+    
+    function setupSyncCallbacks() {
+        SyncService.setCallbacks({
+            onItemStart: (recording, target) => {
+                if (target !== 'supabase') updateRecordingsList();
+            },
+            onItemSynced: async (recording, result, target) => {
+                if (target === 'supabase') {
+                    // The transcription pipeline works from the Supabase record
+                    if (recording.transcriptionEnabled) {
+                        TranscribeService.startTranscriptionPipeline(recording.id, {
+                            onTranscript: saveTranscript,
+                            onDone: () => updateRecordingsList()
+                        });
+                    }
+                    return;
                 }
-
-                const drivePath = localRecording.drivePath || 'recordings';
-                console.log(`Syncing recording ${recording.id} to Drive path: ${drivePath}`);
-                
-                const driveFile = await DriveService.uploadRecording(
-                    localRecording.blob, 
-                    localRecording.fileName || `recording_${recording.id}.webm`,
-                    drivePath
-                );
                 
-                // 2. Update local storage with Drive ID and synced status
-                await StorageService.markRecordingAsSynced(recording.id, driveFile.fileId);
+                const destination = DestinationService.get(target);
+                UIService.toast(`Synced to ${destination?.name || target}: ${recording.fileName}`, 'info');
                 
-                // 3. Update Supabase with Drive ID
-                await Supabase.markSyncedToDrive(recording.id, driveFile.fileId);
+                // Keep the mirror's copy of the Drive state current, if it already has the record
+                const latest = await StorageService.getRecording(recording.id);
+                const mirror = SyncService.getState(latest, 'supabase');
+                if (target === 'drive' && Supabase.isConfigured() && mirror.status === 'synced') {
+                    await Supabase.markSyncedToDrive(recording.id, result.remoteId);
+                }
                 
-                UIService.toast(`Synced: ${recording.title}`, 'info');
+                // A transcript that finished first was waiting for the audio
+                if (target === 'drive' && latest.transcript) {
+                    await publishTranscript(latest);
+                }
+            },
+            onItemError: (recording, error, failed, target) => {
+                console.warn(`Upload of ${recording.id} to ${target} ${failed ? 'gave up' : 'will be retried'}:`, error.message);
+            }
+        });
+    }
+    
+    async function handleRetryClick(e) {
+        const button = e.target.closest('.btn-retry');
+        if (!button) return;
+        
+        button.disabled = true;
+        const id = parseInt(button.dataset.id);
+        const recording = await StorageService.getRecording(id);
+        
+        // Every destination (and the mirror) that gave up gets a fresh set of retries
+        for (const [target, state] of Object.entries(recording.sync || {})) {
+            if (state.status === 'failed') {
+                await SyncService.retry(id, target);
             }
-            
-            await updateRecordingsList();
-            UIService.setSyncStatus('synced');
-            
-        } catch (error) {
-            console.error('Sync failed:', error);
-            UIService.setSyncStatus('error');
-            UIService.toast('Sync failed: ' + error.message, 'error');
-        } finally {
-            isSyncing = false;
         }
+        await updateRecordingsList();
+        await updateSyncStatus();
+        syncRecordings();
     }
     
     // UI Updates
     
     async function updateRecordingsList() {
         const recordings = await StorageService.getAllRecordings();
-        UIService.updateRecordingsList(recordings);
+        const targets = DestinationService.getEnabled().map(d => ({ id: d.id, name: d.name }));
+        const driveOnly = DestinationService.isEnabled('drive') ? await ReconcileService.getDriveOnly() : [];
+        UIService.updateRecordingsList(recordings, targets, driveOnly);
     }
     
     async function updateSyncStatus() {
-        const isAuthenticated = DriveService.isAuthenticated();
-        let unsyncedCount = 0;
+        const isAuthenticated = hasConnectedDestination();
+        let pendingCount = 0;
+        let failedCount = 0;
         try {
-            unsyncedCount = (await StorageService.getUnsyncedRecordings()).length;
+            const unsynced = await StorageService.getUnsyncedRecordings();
+            failedCount = unsynced.filter(r => r.status === 'failed').length;
+            pendingCount = unsynced.length - failedCount;
         } catch (e) {
             console.error('Failed to get unsynced count:', e);
         }
         
-        if (!isAuthenticated) {
+        if (!isAuthenticated && localOnly) {
+            UIService.setSyncStatus('local', pendingCount + failedCount);
+        } else if (!isAuthenticated) {
             UIService.setSyncStatus('disconnected');
-        } else if (unsyncedCount > 0) {
-            UIService.setSyncStatus('pending', unsyncedCount);
+        } else if (pendingCount > 0) {
+            UIService.setSyncStatus('pending', pendingCount);
+        } else if (failedCount > 0) {
+            UIService.setSyncStatus('failed', failedCount);
         } else {
             UIService.setSyncStatus('synced');
         }
+        
+        return pendingCount;
     }
     
     function updateNetworkStatus() {
-        if (navigator.onLine) {
-            UIService.setNetworkStatus('online');
-        } else {
-            UIService.setNetworkStatus('offline');
+        UIService.updateConnectionStatus(navigator.onLine);
+        
+        // Pick up anything queued while offline
+        if (navigator.onLine && isReady) {
+            syncRecordings();
         }
     }
     
     // Recovery
     
     async function checkForRecovery() {
-        const recoveryData = await StorageService.getRecoveryData();
-        if (recoveryData) {
-            UIService.showRecoveryPrompt(recoveryData.title, async () => {
-                // Resume recording from recovery data
+        let sessions = [];
+        try {
+            const sessionIds = await StorageService.getOrphanedSessions();
+            for (const id of sessionIds) {
+                const recoveryData = await StorageService.getRecoveryData(id);
+                if (recoveryData) {
+                    sessions.push(recoveryData);
+                } else {
+                    // Manifest without any audio - nothing to recover
+                    await StorageService.clearRecoveryData(id);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to check for recovery data:', error);
+            return;
+        }
+        
+        // Oldest first, so only the most recent session can be resumed
+        sessions.sort((a, b) => a.startTime - b.startTime);
+        
+        for (const [index, recoveryData] of sessions.entries()) {
+            const canResume = index === sessions.length - 1 && RecorderService.getState() === 'inactive';
+            const choice = await UIService.showRecoveryPrompt(recoveryData, { canResume });
+            
+            if (choice === 'discard') {
+                await StorageService.clearRecoveryData(recoveryData.sessionId);
+                UIService.toast('Discarded recovered recording', 'info');
+                continue;
+            }
+            
+            try {
+                await saveRecoveredSession(recoveryData);
+            } catch (error) {
+                // Chunks are only cleared once saved locally, so recovery is offered again next launch
+                console.error('Failed to save recovered recording:', error);
+                UIService.toast('Failed to save recovered recording: ' + error.message, 'error');
+                continue;
+            }
+            
+            if (choice === 'resume') {
                 try {
                     await RecorderService.resumeFromRecovery(recoveryData);
-                    UIService.setRecordingState('recording');
+                    setRecordingState('recording');
                     UIService.startTimer(() => RecorderService.getElapsedTime());
-                    UIService.toast('Recording resumed from crash recovery', 'warning');
+                    UIService.toast('Recovered audio saved, recording resumed', 'warning');
                 } catch (error) {
-                    UIService.toast('Failed to resume recording', 'error');
-                    await StorageService.clearRecoveryData();
+                    UIService.toast('Failed to resume recording: ' + error.message, 'error');
                 }
-            }, async () => {
-                // Discard recording
-                await StorageService.clearRecoveryData();
-                UIService.toast('Discarded recovered recording', 'info');
-            });
+            }
         }
     }
     
+    /**
+     * Turn an orphaned session's chunks into a normal saved recording
+     */
+    async function saveRecoveredSession(recoveryData) {
+        const blob = await StorageService.recoverFromChunks(recoveryData.sessionId);
+        
+        await saveRecordedAudio({
+            blob: new Blob([blob], { type: recoveryData.mimeType }),
+            duration: recoveryData.elapsed,
+            skippedIntervals: recoveryData.skippedIntervals,
+            markers: recoveryData.markers,
+            sessionId: recoveryData.recordingSessionId,
+            part: recoveryData.part > 1 ? recoveryData.part : null,
+            mimeType: recoveryData.mimeType,
+            timestamp: new Date(recoveryData.startTime).toISOString(),
+            recovered: true,
+            recoveryKey: recoveryData.sessionId
+        });
+    }
+    
     /**
      * Helper to wait for global dependencies to be defined
      */
@@ -620,10 +1615,20 @@ const App = (function() {
                 attempts++;
                 const deps = {
                     'SupabaseService': typeof SupabaseService !== 'undefined',
+                    'TemplateService': typeof TemplateService !== 'undefined',
                     'StorageService': typeof StorageService !== 'undefined',
+                    'DestinationService': typeof DestinationService !== 'undefined',
                     'DriveService': typeof DriveService !== 'undefined',
+                    'WebDAVService': typeof WebDAVService !== 'undefined',
+                    'S3Service': typeof S3Service !== 'undefined',
+                    'LocalFolderService': typeof LocalFolderService !== 'undefined',
+                    'SyncService': typeof SyncService !== 'undefined',
+                    'ReconcileService': typeof ReconcileService !== 'undefined',
                     'UIService': typeof UIService !== 'undefined',
-                    'RecorderService': typeof RecorderService !== 'undefined'
+                    'RecorderService': typeof RecorderService !== 'undefined',
+                    'VoiceCommandService': typeof VoiceCommandService !== 'undefined',
+                    'MediaSessionService': typeof MediaSessionService !== 'undefined',
+                    'KeepAliveService': typeof KeepAliveService !== 'undefined'
                 };
                 
                 const missing = Object.keys(deps).filter(k => !deps[k]);
@@ -649,6 +1654,9 @@ const App = (function() {
         handleRecordToggle: handleRecordToggle,
         handleStop: handleStop,
         handleCancel: handleCancel,
+        handleAddMarker: handleAddMarker,
+        handleNewSegment: handleNewSegment,
+        startVoiceCommands: startVoiceCommands,
         showSettings: showSettings,
         handleConnectDrive: handleConnectDrive,
         handleDisconnectDrive: handleDisconnectDrive,
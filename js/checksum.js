@@ -0,0 +1,98 @@
+/**
+ * Voice to Drive - Checksum Service
+ * MD5 of recordings, to match against the md5Checksum Drive reports.
+ * Web Crypto has no MD5, so this is a small incremental implementation that
+ * reads the blob a slice at a time rather than all at once.
+ */
+
+const ChecksumService = (function() {
+    const SLICE_SIZE = 4 * 1024 * 1024;
+    
+    // Per-round shift amounts and sine-derived constants (RFC 1321)
+    const SHIFTS = [
+        7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+        5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+        4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+        6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+    ];
+    const K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+    
+    /**
+     * MD5 of a blob, as 32 lowercase hex characters
+     */
+    async function md5Blob(blob) {
+        const state = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+        const block = new DataView(new ArrayBuffer(64));
+        let blockLength = 0;
+        
+        // Slices are a multiple of 64 bytes, so only the last one leaves a partial block
+        for (let start = 0; start < blob.size; start += SLICE_SIZE) {
+            const buffer = await blob.slice(start, start + SLICE_SIZE).arrayBuffer();
+            const view = new DataView(buffer);
+            const whole = buffer.byteLength - (buffer.byteLength % 64);
+            
+            for (let offset = 0; offset < whole; offset += 64) {
+                processBlock(state, view, offset);
+            }
+            new Uint8Array(block.buffer).set(new Uint8Array(buffer, whole));
+            blockLength = buffer.byteLength - whole;
+        }
+        
+        // Padding: a 1 bit, zeros, then the length in bits (little-endian, 64-bit)
+        block.setUint8(blockLength++, 0x80);
+        if (blockLength > 56) {
+            while (blockLength < 64) block.setUint8(blockLength++, 0);
+            processBlock(state, block, 0);
+            blockLength = 0;
+        }
+        while (blockLength < 56) block.setUint8(blockLength++, 0);
+        
+        const bits = blob.size * 8;
+        block.setUint32(56, bits >>> 0, true);
+        block.setUint32(60, Math.floor(bits / 2 ** 32), true);
+        processBlock(state, block, 0);
+        
+        const digest = new DataView(new ArrayBuffer(16));
+        state.forEach((word, i) => digest.setUint32(i * 4, word, true));
+        return Array.from(new Uint8Array(digest.buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    // Internal functions
+    
+    function processBlock(state, view, offset) {
+        let [a, b, c, d] = state;
+        
+        for (let i = 0; i < 64; i++) {
+            let f, g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+            
+            const sum = (a + f + K[i] + view.getUint32(offset + g * 4, true)) >>> 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << SHIFTS[i]) | (sum >>> (32 - SHIFTS[i])))) >>> 0;
+        }
+        
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+    }
+    
+    // Public API
+    return {
+        md5Blob
+    };
+})();
@@ -0,0 +1,260 @@
+/**
+ * Voice to Drive - Voice Command Service
+ * Listens for a small fixed vocabulary of spoken commands and runs the
+ * matching App handler, with spoken or audible confirmation.
+ *
+ * The recogniser is pluggable: anything with start(onTranscript, onError)
+ * and stop() can replace the Web Speech API.
+ */
+
+const VoiceCommandService = (function() {
+    // Fixed vocabulary - a command only fires when the whole utterance matches
+    // one of its phrases, so dictating "I'll stop and save it later" does nothing
+    const COMMANDS = {
+        start: {
+            phrases: ['start recording', 'begin recording', 'new recording'],
+            confirmation: 'Recording'
+        },
+        pause: {
+            phrases: ['pause recording', 'pause'],
+            confirmation: 'Paused'
+        },
+        resume: {
+            phrases: ['resume recording', 'resume', 'continue recording'],
+            confirmation: 'Resumed'
+        },
+        stop: {
+            phrases: ['stop and save', 'stop recording', 'save recording'],
+            confirmation: 'Saved'
+        },
+        cancel: {
+            phrases: ['cancel recording', 'discard recording'],
+            confirmation: 'Cancelled'
+        },
+        mark: {
+            phrases: ['mark that', 'mark this', 'bookmark'],
+            confirmation: 'Marked'
+        }
+    };
+    
+    // State
+    let recogniser = null;
+    let isListening = false;
+    let handlers = {};
+    let audioContext = null;
+    
+    // Callbacks
+    let onCommand = null;
+    let onError = null;
+    
+    /**
+     * Whether the browser has a built-in speech recogniser
+     */
+    function isSupported() {
+        return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+    }
+    
+    /**
+     * Default recogniser backed by the Web Speech API.
+     * Restarts itself when the browser ends the session after a pause.
+     */
+    function createSpeechRecogniser(lang = 'en-GB') {
+        const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        let recognition = null;
+        let active = false;
+        
+        return {
+            start(onTranscript, onRecogniserError) {
+                if (!Recognition) {
+                    throw new Error('Speech recognition is not supported in this browser');
+                }
+                
+                recognition = new Recognition();
+                recognition.lang = lang;
+                recognition.continuous = true;
+                recognition.interimResults = false;
+                
+                recognition.onresult = (event) => {
+                    for (let i = event.resultIndex; i < event.results.length; i++) {
+                        if (event.results[i].isFinal) {
+                            onTranscript(event.results[i][0].transcript);
+                        }
+                    }
+                };
+                
+                recognition.onerror = (event) => {
+                    // Silence and aborted sessions are routine; anything else is worth reporting
+                    if (event.error === 'no-speech' || event.error === 'aborted') return;
+                    if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+                        active = false;
+                    }
+                    onRecogniserError(new Error('Speech recognition error: ' + event.error));
+                };
+                
+                recognition.onend = () => {
+                    if (active) recognition.start();
+                };
+                
+                active = true;
+                recognition.start();
+            },
+            
+            stop() {
+                active = false;
+                if (recognition) {
+                    recognition.onend = null;
+                    recognition.stop();
+                    recognition = null;
+                }
+            }
+        };
+    }
+    
+    /**
+     * Start listening for commands.
+     * @param {object} commandHandlers - Map of command name (start, pause,
+     *     resume, stop, cancel, mark) to function. Commands without a handler
+     *     are ignored.
+     * @param {object} [customRecogniser] - Replaces the Web Speech API recogniser
+     */
+    function start(commandHandlers, customRecogniser = null) {
+        if (isListening) stop();
+        
+        handlers = commandHandlers || {};
+        recogniser = customRecogniser || createSpeechRecogniser();
+        
+        recogniser.start(handleTranscript, (error) => {
+            console.error('Voice command error:', error);
+            if (onError) onError(error);
+        });
+        
+        isListening = true;
+        console.log('Voice commands listening');
+    }
+    
+    /**
+     * Stop listening for commands
+     */
+    function stop() {
+        if (recogniser) {
+            recogniser.stop();
+            recogniser = null;
+        }
+        isListening = false;
+    }
+    
+    /**
+     * Get current listening status
+     */
+    function isActive() {
+        return isListening;
+    }
+    
+    /**
+     * Match a transcript against the vocabulary.
+     * Returns the command name, or null if nothing matched.
+     */
+    function matchCommand(transcript) {
+        const normalised = normalise(transcript);
+        
+        for (const [name, command] of Object.entries(COMMANDS)) {
+            if (command.phrases.includes(normalised)) {
+                return name;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Handle one final utterance from the recogniser
+     */
+    async function handleTranscript(transcript) {
+        const name = matchCommand(transcript);
+        if (!name || !handlers[name]) return null;
+        
+        console.log('Voice command:', name);
+        
+        try {
+            // Handlers return false when the command does not apply right now
+            const handled = await handlers[name]();
+            if (handled === false) return null;
+            
+            confirm(name);
+            if (onCommand) onCommand(name);
+            return name;
+        } catch (error) {
+            console.error('Voice command failed:', name, error);
+            if (onError) onError(error);
+            return null;
+        }
+    }
+    
+    /**
+     * Acknowledge a command. Speaking would end up in the recording, so a
+     * short tone is used while the mic is being recorded.
+     */
+    function confirm(name) {
+        const recording = RecorderService.getState() === 'recording';
+        
+        if (!recording && window.speechSynthesis) {
+            const utterance = new SpeechSynthesisUtterance(COMMANDS[name].confirmation);
+            utterance.rate = 1.1;
+            window.speechSynthesis.speak(utterance);
+        } else {
+            beep();
+        }
+    }
+    
+    function beep() {
+        try {
+            if (!audioContext) {
+                audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
+            
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.frequency.value = 880;
+            gain.gain.setValueAtTime(0.2, audioContext.currentTime);
+            gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.15);
+            
+            oscillator.connect(gain);
+            gain.connect(audioContext.destination);
+            oscillator.start();
+            oscillator.stop(audioContext.currentTime + 0.15);
+        } catch (error) {
+            console.error('Failed to play confirmation tone:', error);
+        }
+    }
+    
+    /**
+     * Set callbacks
+     */
+    function setCallbacks(callbacks) {
+        onCommand = callbacks.onCommand;
+        onError = callbacks.onError;
+    }
+    
+    // Helper functions
+    
+    function normalise(text) {
+        return text
+            .toLowerCase()
+            .replace(/[^a-z\s]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+    
+    // Public API
+    return {
+        COMMANDS,
+        isSupported,
+        createSpeechRecogniser,
+        start,
+        stop,
+        isActive,
+        matchCommand,
+        handleTranscript,
+        setCallbacks
+    };
+})();
@@ -12,9 +12,10 @@
 const CONFIG = {
     // Supabase Configuration
     // These will be loaded from window.ENV if available (set by a build process)
-    // Otherwise, they must be set manually before the app initializes
-    SUPABASE_URL: window.ENV?.SUPABASE_URL || localStorage.getItem('supabase_url') || 'YOUR_SUPABASE_URL',
-    SUPABASE_ANON_KEY: window.ENV?.SUPABASE_ANON_KEY || localStorage.getItem('supabase_anon_key') || 'YOUR_SUPABASE_ANON_KEY',
+    // Otherwise, they must be set manually before the app initializes.
+    // The service worker loads this file too: it has self but no window or localStorage
+    SUPABASE_URL: self.ENV?.SUPABASE_URL || self.localStorage?.getItem('supabase_url') || 'YOUR_SUPABASE_URL',
+    SUPABASE_ANON_KEY: self.ENV?.SUPABASE_ANON_KEY || self.localStorage?.getItem('supabase_anon_key') || 'YOUR_SUPABASE_ANON_KEY',
     
     // Google OAuth Configuration
     GOOGLE_CLIENT_ID: '45424427828-jus2sj7li3iabnmff4bu1t81fkf88sbr.apps.googleusercontent.com',
@@ -23,10 +24,19 @@ const CONFIG = {
     // Recording settings
     DEFAULT_BITRATE: 64000,
     AUTOSAVE_ENABLED: true,
+    VAD_ENABLED: false, // Auto-pause on silence
+    VAD_SILENCE_MS: 5000,
+    PREROLL_SECONDS: 0, // 0 = mic not armed
+    SEGMENT_MODE: '', // '', 'duration:<s>', 'size:<bytes>' or 'silence:<ms>'
+    BACKGROUND_POLICY: 'keep', // When the page hides: 'keep' recording, 'pause' or 'save'
+    VOICE_COMMANDS_ENABLED: false,
+    MARKER_LABELS: ['important', 'todo', 'new topic'],
     
     // Sync settings
     SYNC_INTERVAL_MS: 30000,
     MAX_RETRY_COUNT: 5,
+    PERIODIC_SYNC_INTERVAL_MS: 60 * 60 * 1000, // The browser decides the actual interval
+    RECONCILE_INTERVAL_MS: 10 * 60 * 1000, // How often the local list is checked against Drive
     
     /**
      * Set Supabase credentials (useful for runtime configuration)
@@ -40,15 +50,25 @@ const CONFIG = {
     },
     
     /**
-     * Validate that required credentials are set
+     * Whether Supabase credentials have been set
+     */
+    hasSupabase() {
+        return this.SUPABASE_URL !== 'YOUR_SUPABASE_URL' && this.SUPABASE_ANON_KEY !== 'YOUR_SUPABASE_ANON_KEY';
+    },
+    
+    /**
+     * Check optional credentials. Nothing is required - without them the app
+     * keeps recordings on the device - so this returns warnings rather than throwing.
      */
     validate() {
-        if (this.SUPABASE_URL === 'YOUR_SUPABASE_URL' || this.SUPABASE_ANON_KEY === 'YOUR_SUPABASE_ANON_KEY') {
-            throw new Error(
-                'Supabase credentials not configured. ' +
-                'Please set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY in your .env file, ' +
+        const warnings = [];
+        if (!this.hasSupabase()) {
+            warnings.push(
+                'Supabase credentials not configured, cloud backup is off. ' +
+                'Set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY in your .env file, ' +
                 'or call CONFIG.setSupabaseCredentials(url, key) before initializing the app.'
             );
         }
+        return warnings;
     }
 };
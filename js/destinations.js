@@ -0,0 +1,107 @@
+/**
+ * Voice to Drive - Destination Service
+ * Registry of sync destinations (Google Drive, and later WebDAV, S3, a local
+ * folder...). The sync loop only talks to this interface, so a new target
+ * is one adapter file rather than changes to App and SyncService.
+ *
+ * An adapter is an object with:
+ *   id, name                        - stable key and display name
+ *   authenticate()                  - sign in / ask for access, may prompt
+ *   isAuthenticated()               - ready to upload without prompting
+ *   ensureFolder(path)              - create the folder path, return a folder reference
+ *   upload(recording, { folder, onProgress }) - upload into the folder
+ *                                     ensureFolder returned; returns { remoteId, ... }
+ *   verify(recording, result)       - true if the remote copy is complete
+ *   delete(remoteId)                - optional: remove the remote copy. Sync
+ *                                     never calls it; clearing synced
+ *                                     recordings only frees local storage
+ *   restoreSession()                - optional: pick up stored credentials
+ *                                     without UI (used by the service worker)
+ *   isSupported()                   - optional: false hides it on this browser
+ *   offline                         - optional: true if it works without a connection
+ */
+
+const DestinationService = (function() {
+    const REQUIRED_METHODS = ['authenticate', 'isAuthenticated', 'ensureFolder', 'upload', 'verify'];
+    
+    // State
+    const destinations = new Map();
+    let enabledIds = [];
+    
+    /**
+     * Register a destination adapter
+     */
+    function register(adapter) {
+        const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+        if (!adapter.id || missing.length > 0) {
+            throw new Error(`Destination "${adapter.id}" is missing: ${missing.join(', ') || 'id'}`);
+        }
+        
+        destinations.set(adapter.id, adapter);
+    }
+    
+    /**
+     * Get a destination by ID
+     */
+    function get(id) {
+        return destinations.get(id) || null;
+    }
+    
+    /**
+     * All registered destinations
+     */
+    function list() {
+        return Array.from(destinations.values());
+    }
+    
+    /**
+     * Load which destinations are switched on. Before this setting existed,
+     * Drive was the only target unless the user chose local-only.
+     */
+    async function load() {
+        const saved = await StorageService.getSetting('destinations');
+        
+        if (Array.isArray(saved)) {
+            enabledIds = saved;
+        } else {
+            enabledIds = await StorageService.getSetting('localOnly', false) ? [] : ['drive'];
+        }
+        
+        return enabledIds;
+    }
+    
+    /**
+     * Enabled destinations, in the order they were switched on
+     */
+    function getEnabled() {
+        return enabledIds.map(get).filter(Boolean);
+    }
+    
+    function isEnabled(id) {
+        return enabledIds.includes(id);
+    }
+    
+    /**
+     * Switch a destination on or off
+     */
+    async function setEnabled(id, enabled) {
+        enabledIds = enabledIds.filter(enabledId => enabledId !== id);
+        if (enabled) {
+            enabledIds.push(id);
+        }
+        
+        await StorageService.setSetting('destinations', enabledIds);
+        return enabledIds;
+    }
+    
+    // Public API
+    return {
+        register,
+        get,
+        list,
+        load,
+        getEnabled,
+        isEnabled,
+        setEnabled
+    };
+})();
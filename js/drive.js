@@ -2,6 +2,17 @@
  * Voice to Drive - Google Drive Service
  * Handles OAuth authentication and file uploads to Google Drive
  * Creates Year/Month/Day folder structure
+ * Uploads are resumable, so a dropped connection or a reload carries on
+ * from the last byte Drive received
+ * Uploads are tagged with the recording's MD5; a file already on Drive with
+ * the same checksum is reused rather than uploaded twice
+ * Registers itself as the 'drive' sync destination (see DestinationService)
+ * Access tokens are refreshed without a prompt before they expire; if that
+ * fails, uploads wait and the app is told to offer a reconnect, rather than
+ * a consent popup appearing mid-recording
+ * Transcripts are saved next to their recording and kept up to date in place
+ * Recordings go under My Drive, or under a folder picked with the Google
+ * Picker, which may be in a Shared Drive
  */
 
 const DriveService = (function() {
@@ -11,7 +22,18 @@ const DriveService = (function() {
         API_KEY: '',   // Set via configure()
         SCOPES: 'https://www.googleapis.com/auth/drive.file',
         DISCOVERY_DOCS: ['https://www.googleapis.com/discovery/v1/apis/drive/v3/rest'],
-        ROOT_FOLDER: 'Voice Recordings' // Root folder in Drive
+        ROOT_FOLDER: 'Voice Recordings', // Root folder in Drive
+        API_URL: 'https://www.googleapis.com/drive/v3',
+        UPLOAD_URL: 'https://www.googleapis.com/upload/drive/v3/files',
+        UPLOAD_CHUNK_SIZE: 2 * 1024 * 1024, // Must be a multiple of 256 KiB
+        UPLOAD_SESSION_MAX_AGE_MS: 6 * 24 * 60 * 60 * 1000, // Drive expires sessions after a week
+        MAX_CHUNK_RETRIES: 3,
+        TOKEN_REFRESH_MARGIN_MS: 5 * 60 * 1000, // Refresh this long before the token expires
+        TOKEN_REFRESH_TIMEOUT_MS: 30 * 1000,
+        FOLDER_CHECK_INTERVAL_MS: 10 * 60 * 1000, // Cached folder IDs are checked again after this
+        FOLDER_CACHE_MAX_AGE_MS: 30 * 24 * 60 * 60 * 1000, // Unused entries are dropped after this
+        DOC_MIME_TYPE: 'application/vnd.google-apps.document',
+        FOLDER_MIME_TYPE: 'application/vnd.google-apps.folder'
     };
     
     // State
@@ -20,16 +42,30 @@ const DriveService = (function() {
     let currentUser = null;
     let tokenClient = null;
     let accessToken = null;
+    let tokenExpiry = 0;
+    let refreshTimer = null;
+    let refreshPromise = null; // Pending silent refresh - uploads wait for it
+    let needsReconnect = false;
+    let baseFolder = null; // { id, name, driveId } chosen with the picker; null means My Drive
     
-    // Folder cache to avoid repeated lookups
+    // Callbacks
+    let onSessionChange = null;
+    
+    // Folder IDs by path, kept in settings so each page load and the service
+    // worker do not look every folder up again: key -> { id, savedAt, checkedAt }
+    // Keys start with the ID of the folder the path is under ('root' for My Drive)
     const folderCache = new Map();
+    const pendingFolders = new Map(); // key -> Promise, so concurrent uploads share one lookup
     
     /**
      * Configure the Drive service with credentials
+     * @param {object} [endpoints] - { apiUrl, uploadUrl } to point at a local stand-in server
      */
-    function configure(clientId, apiKey = '') {
+    function configure(clientId, apiKey = '', endpoints = {}) {
         CONFIG.CLIENT_ID = clientId;
         CONFIG.API_KEY = apiKey;
+        if (endpoints.apiUrl) CONFIG.API_URL = endpoints.apiUrl;
+        if (endpoints.uploadUrl) CONFIG.UPLOAD_URL = endpoints.uploadUrl;
     }
     
     /**
@@ -47,11 +83,12 @@ const DriveService = (function() {
                     isInitialised = true;
                     
                     // Check if we have a stored token
-                    const storedToken = await StorageService.getSetting('driveToken');
-                    if (storedToken && storedToken.expiry > Date.now()) {
-                        accessToken = storedToken.token;
-                        isSignedIn = true;
+                    if (await restoreSession()) {
                         await fetchUserInfo();
+                        scheduleRefresh();
+                    } else if (await StorageService.getSetting('driveToken')) {
+                        // Expired while the app was closed - try to renew it quietly
+                        refreshToken().then(fetchUserInfo).catch(() => {});
                     }
                     
                     resolve(isSignedIn);
@@ -64,6 +101,24 @@ const DriveService = (function() {
         });
     }
     
+    /**
+     * Pick up the stored token without loading the Google client libraries,
+     * so the service worker can upload. Returns false if it has expired.
+     */
+    async function restoreSession() {
+        baseFolder = await StorageService.getSetting('driveFolder', null);
+        await loadFolderCache();
+        
+        const storedToken = await StorageService.getSetting('driveToken');
+        if (storedToken && storedToken.expiry > Date.now()) {
+            accessToken = storedToken.token;
+            tokenExpiry = storedToken.expiry;
+            isSignedIn = true;
+            return true;
+        }
+        return false;
+    }
+    
     async function loadGapiClient() {
         return new Promise((resolve, reject) => {
             gapi.load('client', async () => {
@@ -88,7 +143,11 @@ const DriveService = (function() {
                 tokenClient = google.accounts.oauth2.initTokenClient({
                     client_id: CONFIG.CLIENT_ID,
                     scope: CONFIG.SCOPES,
-                    callback: handleTokenResponse
+                    callback: handleTokenResponse,
+                    // Popup blocked or closed - no token response will follow
+                    error_callback: (error) => {
+                        if (tokenReject) tokenReject(new Error(error.message || error.type));
+                    }
                 });
                 resolve();
             };
@@ -111,8 +170,10 @@ const DriveService = (function() {
         isSignedIn = true;
         
         // Store token with expiry
-        const expiry = Date.now() + (response.expires_in * 1000);
-        StorageService.setSetting('driveToken', { token: accessToken, expiry });
+        tokenExpiry = Date.now() + (response.expires_in * 1000);
+        StorageService.setSetting('driveToken', { token: accessToken, expiry: tokenExpiry });
+        scheduleRefresh();
+        setNeedsReconnect(false);
         
         fetchUserInfo();
         
@@ -120,25 +181,63 @@ const DriveService = (function() {
     }
     
     /**
-     * Sign in to Google
+     * Sign in to Google. May show a popup, so only call it from a click.
      */
     async function signIn() {
         if (!isInitialised) {
             throw new Error('Drive service not initialised');
         }
         
-        return new Promise((resolve, reject) => {
-            tokenResolve = resolve;
-            tokenReject = reject;
+        // Let a silent refresh finish first; both share the one token client
+        if (refreshPromise) {
+            await refreshPromise.catch(() => {});
+        }
+        
+        // Consent already given - this may only show the account chooser
+        return requestToken(accessToken ? '' : 'consent');
+    }
+    
+    /**
+     * Renew the access token without any prompt. If Google needs the user
+     * (signed out, consent withdrawn, popup blocked), the session is marked
+     * as needing a reconnect instead.
+     */
+    async function refreshToken() {
+        if (!tokenClient) {
+            throw reconnectError();
+        }
+        
+        if (!refreshPromise) {
+            // Google does not always answer a blocked silent request, so give up after a while
+            const timeout = new Promise((resolve, reject) => setTimeout(
+                () => reject(new Error('Token refresh timed out')), CONFIG.TOKEN_REFRESH_TIMEOUT_MS));
             
-            if (accessToken) {
-                // Request with existing token (consent already given)
-                tokenClient.requestAccessToken({ prompt: '' });
-            } else {
-                // First time - show consent screen
-                tokenClient.requestAccessToken({ prompt: 'consent' });
-            }
-        });
+            refreshPromise = Promise.race([requestToken('none'), timeout])
+                .catch((error) => {
+                    console.warn('Silent token refresh failed:', error.message);
+                    setNeedsReconnect(true);
+                    throw reconnectError();
+                })
+                .finally(() => {
+                    refreshPromise = null;
+                });
+        }
+        return refreshPromise;
+    }
+    
+    /**
+     * Whether the session has lapsed and needs the user to reconnect
+     */
+    function isReconnectNeeded() {
+        return needsReconnect;
+    }
+    
+    /**
+     * Set callbacks
+     * @param {function} callbacks.onSessionChange - (needsReconnect)
+     */
+    function setCallbacks(callbacks) {
+        onSessionChange = callbacks.onSessionChange;
     }
     
     /**
@@ -150,18 +249,33 @@ const DriveService = (function() {
         }
         
         accessToken = null;
+        tokenExpiry = 0;
         isSignedIn = false;
         currentUser = null;
-        folderCache.clear();
+        clearTimeout(refreshTimer);
+        setNeedsReconnect(false);
         
         await StorageService.setSetting('driveToken', null);
+        // Another account may not be able to see the chosen folder, and has
+        // its own My Drive
+        await setBaseFolder(null);
+        folderCache.clear();
+        await saveFolderCache();
     }
     
     /**
-     * Get current sign-in status
+     * Whether the Google client libraries have been loaded
+     */
+    function isLoaded() {
+        return isInitialised;
+    }
+    
+    /**
+     * Get current sign-in status. False while a reconnect is needed, so
+     * uploads stay queued.
      */
     function isAuthenticated() {
-        return isSignedIn && accessToken;
+        return isSignedIn && accessToken && !needsReconnect;
     }
     
     /**
@@ -187,11 +301,15 @@ const DriveService = (function() {
     
     /**
      * Upload a recording to Google Drive
+     * @param {object} [options] - { folderId, uploadKey, onProgress, md5, appProperties }.
+     *     folderId is the folder ensureFolder already found for folderPath;
+     *     without it the path is looked up here. uploadKey identifies the recording so an interrupted upload can be
+     *     resumed later; onProgress receives { loaded, total, percent }; with
+     *     md5, an existing file with that checksum is returned instead of
+     *     uploading again; appProperties are set on the new file.
      */
-    async function uploadRecording(blob, fileName, folderPath) {
-        if (!isAuthenticated()) {
-            throw new Error('Not authenticated');
-        }
+    async function uploadRecording(blob, fileName, folderPath, options = {}) {
+        await ensureFreshToken();
         
         try {
             // Use the user-defined folder path directly
@@ -199,12 +317,20 @@ const DriveService = (function() {
             const fullPath = folderPath || CONFIG.ROOT_FOLDER;
             console.log('Ensuring folder path:', fullPath);
             
-            // Ensure folder structure exists
-            const folderId = await ensureFolderPath(fullPath);
+            // Ensure folder structure exists, unless the caller already did
+            const folderId = options.folderId || await ensureFolderPath(fullPath);
             console.log('Target folder ID:', folderId);
             
+            // An earlier attempt may have finished without being recorded as synced
+            const existing = options.md5 ? await findUploadedCopy(options.md5, fileName, folderId) : null;
+            if (existing) {
+                console.log('Already on Drive, not uploading again:', fileName, existing.id);
+                if (options.uploadKey) await StorageService.clearUploadSession(options.uploadKey);
+                return { success: true, fileId: existing.id, fileName, folderPath, duplicate: true };
+            }
+            
             // Upload file
-            const fileId = await uploadFile(blob, fileName, folderId);
+            const fileId = await uploadFile(blob, fileName, folderId, options);
             
             return {
                 success: true,
@@ -216,12 +342,21 @@ const DriveService = (function() {
         } catch (error) {
             console.error('Upload failed:', error);
             
-            // Check if token expired
+            // Token rejected before its expiry (revoked, or the clock is off):
+            // refresh quietly and try once more, resuming the saved session
+            if (error.status === 401 && !options.isRetry) {
+                await refreshToken();
+                return uploadRecording(blob, fileName, folderPath, { ...options, isRetry: true });
+            }
             if (error.status === 401) {
-                // Try to refresh token
-                await signIn();
-                // Retry upload
-                return uploadRecording(blob, fileName, folderPath);
+                setNeedsReconnect(true);
+                throw reconnectError();
+            }
+            
+            // Look the folder up again and start a new upload into it
+            if (error.folderMissing && !options.isFolderRetry) {
+                await forgetFolder(folderPath || CONFIG.ROOT_FOLDER);
+                return uploadRecording(blob, fileName, folderPath, { ...options, folderId: null, isFolderRetry: true });
             }
             
             throw error;
@@ -229,50 +364,202 @@ const DriveService = (function() {
     }
     
     /**
-     * Ensure folder path exists, creating folders as needed
+     * Let the user choose the folder recordings go into, in My Drive or a
+     * Shared Drive, with the Google Picker. Picking also grants the app
+     * access to that folder. Returns the folder, or null if cancelled.
+     */
+    async function chooseFolder() {
+        if (!isAuthenticated()) {
+            throw new Error('Connect Google Drive first');
+        }
+        await ensureFreshToken();
+        await new Promise((resolve) => gapi.load('picker', resolve));
+        
+        const picked = await new Promise((resolve) => {
+            const folderView = (sharedDrives) => new google.picker.DocsView(google.picker.ViewId.FOLDERS)
+                .setMimeTypes(CONFIG.FOLDER_MIME_TYPE)
+                .setIncludeFolders(true)
+                .setSelectFolderEnabled(true)
+                .setEnableDrives(sharedDrives);
+            
+            const builder = new google.picker.PickerBuilder()
+                .setTitle('Choose a folder for recordings')
+                .addView(folderView(false))
+                .addView(folderView(true))
+                .enableFeature(google.picker.Feature.SUPPORT_DRIVES)
+                .setOAuthToken(accessToken)
+                // The project number, so the drive.file scope covers the picked folder
+                .setAppId(CONFIG.CLIENT_ID.split('-')[0])
+                .setCallback((data) => {
+                    if (data.action === google.picker.Action.PICKED) resolve(data.docs[0]);
+                    if (data.action === google.picker.Action.CANCEL) resolve(null);
+                });
+            if (CONFIG.API_KEY) builder.setDeveloperKey(CONFIG.API_KEY);
+            builder.build().setVisible(true);
+        });
+        if (!picked) return null;
+        
+        // The picker does not say which Shared Drive the folder is in
+        const folder = await getFileMetadata(picked.id, 'id,name,driveId');
+        if (!folder) {
+            throw new Error('That folder is no longer available');
+        }
+        
+        await setBaseFolder({ id: folder.id, name: folder.name, driveId: folder.driveId || null });
+        console.log('Drive folder chosen:', folder.name, folder.driveId ? `(Shared Drive ${folder.driveId})` : '');
+        return baseFolder;
+    }
+    
+    /**
+     * Go back to saving in My Drive
+     */
+    async function resetFolder() {
+        await setBaseFolder(null);
+    }
+    
+    /**
+     * The chosen folder { id, name, driveId }, or null for My Drive
+     */
+    function getFolder() {
+        return baseFolder;
+    }
+    
+    async function setBaseFolder(folder) {
+        // Cached IDs are keyed by the folder they are under, so they stay valid
+        baseFolder = folder;
+        await StorageService.setSetting('driveFolder', folder);
+    }
+    
+    /**
+     * Ensure folder path exists, creating folders as needed. Uploads to the
+     * same folder at the same time share one lookup.
      */
     async function ensureFolderPath(path) {
-        // Check cache first
-        if (folderCache.has(path)) {
-            return folderCache.get(path);
+        const key = folderKey(path);
+        if (!pendingFolders.has(key)) {
+            pendingFolders.set(key, resolveFolderPath(path).finally(() => pendingFolders.delete(key)));
+        }
+        return pendingFolders.get(key);
+    }
+    
+    async function resolveFolderPath(path, isRetry = false) {
+        const cached = folderCache.get(folderKey(path));
+        if (cached && await isFolderUsable(cached)) {
+            return cached.id;
+        }
+        if (cached) {
+            console.log('Cached Drive folder is gone, looking it up again:', path);
+            await forgetFolder(path);
         }
         
+        try {
+            // The page and the service worker both upload; only one may create folders at a time
+            return await withFolderLock(() => findOrCreateFolders(path));
+        } catch (error) {
+            // A cached parent was deleted since it was checked
+            if (error.status === 404 && !isRetry) {
+                await forgetFolder(path);
+                return resolveFolderPath(path, true);
+            }
+            throw error;
+        }
+    }
+    
+    async function findOrCreateFolders(path) {
+        // The other one may have just created what is needed
+        await loadFolderCache();
+        
         const parts = path.split('/').filter(p => p && p.trim() !== '');
-        let parentId = 'root';
+        let parentId = baseFolder?.id || 'root';
         let currentPath = '';
         
-        for (const folderName of parts) {
-            currentPath += (currentPath ? '/' : '') + folderName;
-            
-            if (folderCache.has(currentPath)) {
-                parentId = folderCache.get(currentPath);
-                continue;
-            }
-            
-            // Search for existing folder
-            let folderId = await findFolder(folderName, parentId);
-            
-            if (!folderId) {
-                // Create folder
-                folderId = await createFolder(folderName, parentId);
+        try {
+            for (const folderName of parts) {
+                currentPath += (currentPath ? '/' : '') + folderName;
+                
+                const entry = folderCache.get(folderKey(currentPath));
+                if (entry) {
+                    parentId = entry.id;
+                    continue;
+                }
+                
+                // Search for existing folder, and create it if there is none
+                const folderId = await findFolder(folderName, parentId) || await createFolder(folderName, parentId);
+                
+                const now = Date.now();
+                folderCache.set(folderKey(currentPath), { id: folderId, savedAt: now, checkedAt: now });
+                parentId = folderId;
             }
-            
-            folderCache.set(currentPath, folderId);
-            parentId = folderId;
+        } finally {
+            await saveFolderCache();
         }
         
-        folderCache.set(path, parentId);
         return parentId;
     }
     
+    /**
+     * Whether a cached folder still exists outside the trash. Checked at most
+     * every CONFIG.FOLDER_CHECK_INTERVAL_MS; a folder in a trashed folder
+     * counts as trashed too, so checking the last folder covers the path.
+     */
+    async function isFolderUsable(entry) {
+        if (Date.now() - entry.checkedAt < CONFIG.FOLDER_CHECK_INTERVAL_MS) return true;
+        
+        if (!await getFileMetadata(entry.id, 'id')) return false;
+        
+        entry.checkedAt = Date.now();
+        await saveFolderCache();
+        return true;
+    }
+    
+    /**
+     * Drop a path and the folders above it from the cache, so they are
+     * looked up again. Folders below are checked when they are next used.
+     */
+    async function forgetFolder(path) {
+        let currentPath = '';
+        for (const folderName of path.split('/').filter(p => p && p.trim() !== '')) {
+            currentPath += (currentPath ? '/' : '') + folderName;
+            folderCache.delete(folderKey(currentPath));
+        }
+        await saveFolderCache();
+    }
+    
+    async function loadFolderCache() {
+        const stored = await StorageService.getSetting('driveFolderCache', {});
+        Object.entries(stored).forEach(([key, entry]) => folderCache.set(key, entry));
+    }
+    
+    /**
+     * Persist the cache, leaving out folders not used for a month
+     */
+    async function saveFolderCache() {
+        const cutoff = Date.now() - CONFIG.FOLDER_CACHE_MAX_AGE_MS;
+        for (const [key, entry] of folderCache) {
+            if (Math.max(entry.savedAt, entry.checkedAt) < cutoff) folderCache.delete(key);
+        }
+        await StorageService.setSetting('driveFolderCache', Object.fromEntries(folderCache));
+    }
+    
+    function folderKey(path) {
+        return `${baseFolder?.id || 'root'}/${path.split('/').filter(p => p && p.trim() !== '').join('/')}`;
+    }
+    
+    function withFolderLock(callback) {
+        return navigator.locks
+            ? navigator.locks.request('voice-to-drive-folders', callback)
+            : callback();
+    }
+    
     /**
      * Find a folder by name within a parent
      */
     async function findFolder(name, parentId) {
-        const query = `name='${name}' and mimeType='application/vnd.google-apps.folder' and '${parentId}' in parents and trashed=false`;
+        const query = `name='${escapeQuery(name)}' and mimeType='${CONFIG.FOLDER_MIME_TYPE}'` +
+            ` and '${escapeQuery(parentId)}' in parents and trashed=false`;
         
         const response = await fetch(
-            `https://www.googleapis.com/drive/v3/files?q=${encodeURIComponent(query)}&fields=files(id,name)`,
+            `${CONFIG.API_URL}/files?${searchParams(query, 'files(id,name)')}`,
             {
                 headers: { Authorization: `Bearer ${accessToken}` }
             }
@@ -288,17 +575,42 @@ const DriveService = (function() {
         return data.files.length > 0 ? data.files[0].id : null;
     }
     
+    /**
+     * Find a file already uploaded with this checksum: tagged with it, or
+     * with the same name in the folder (uploads from before tagging)
+     */
+    async function findUploadedCopy(md5, fileName, folderId) {
+        const query = `trashed=false and (appProperties has { key='md5' and value='${escapeQuery(md5)}' }` +
+            ` or (name='${escapeQuery(fileName)}' and '${escapeQuery(folderId)}' in parents))`;
+        
+        const response = await fetch(
+            `${CONFIG.API_URL}/files?${searchParams(query, 'files(id,name,size,md5Checksum)')}`,
+            {
+                headers: { Authorization: `Bearer ${accessToken}` }
+            }
+        );
+        
+        if (!response.ok) {
+            const error = new Error('Failed to search for an existing upload');
+            error.status = response.status;
+            throw error;
+        }
+        
+        const data = await response.json();
+        return data.files.find(file => file.md5Checksum === md5) || null;
+    }
+    
     /**
      * Create a folder
      */
     async function createFolder(name, parentId) {
         const metadata = {
             name,
-            mimeType: 'application/vnd.google-apps.folder',
+            mimeType: CONFIG.FOLDER_MIME_TYPE,
             parents: [parentId]
         };
         
-        const response = await fetch('https://www.googleapis.com/drive/v3/files', {
+        const response = await fetch(`${CONFIG.API_URL}/files?supportsAllDrives=true`, {
             method: 'POST',
             headers: {
                 Authorization: `Bearer ${accessToken}`,
@@ -319,36 +631,395 @@ const DriveService = (function() {
     }
     
     /**
-     * Upload a file to a folder
+     * Upload a file to a folder using Drive's resumable protocol.
+     * The session URL is persisted under uploadKey; on network loss, a 5xx or
+     * a reload, Drive is asked how many bytes it has and the upload carries on
+     * from there.
      */
-    async function uploadFile(blob, fileName, folderId) {
+    async function uploadFile(blob, fileName, folderId, options = {}) {
+        const { uploadKey = null, onProgress = null } = options;
+        const total = blob.size;
+        
+        let session = uploadKey ? await StorageService.getUploadSession(uploadKey) : null;
+        if (session && (session.size !== total || Date.now() - session.createdAt > CONFIG.UPLOAD_SESSION_MAX_AGE_MS)) {
+            session = null;
+        }
+        
+        // A saved session has to be asked where it got to before sending more
+        let confirmed = !session;
+        
+        if (!session) {
+            session = {
+                key: uploadKey,
+                url: await startUploadSession(blob, fileName, folderId, options.appProperties),
+                size: total,
+                createdAt: Date.now()
+            };
+            if (uploadKey) await StorageService.saveUploadSession(session);
+        } else {
+            console.log('Resuming upload:', fileName);
+        }
+        
+        let offset = 0;
+        let retries = 0;
+        
+        while (true) {
+            try {
+                if (!confirmed) {
+                    const status = await queryUploadStatus(session.url, total);
+                    if (status.fileId) {
+                        return finishUpload(status.fileId, fileName, uploadKey, total, onProgress);
+                    }
+                    offset = status.offset;
+                    confirmed = true;
+                }
+                
+                reportProgress(onProgress, offset, total);
+                
+                const end = Math.min(offset + CONFIG.UPLOAD_CHUNK_SIZE, total);
+                const response = await fetch(session.url, {
+                    method: 'PUT',
+                    headers: {
+                        Authorization: `Bearer ${accessToken}`,
+                        'Content-Range': total > 0 ? `bytes ${offset}-${end - 1}/${total}` : 'bytes */0'
+                    },
+                    body: blob.slice(offset, end)
+                });
+                
+                if (response.status === 308) {
+                    // Chunk accepted, more to send
+                    offset = parseRangeEnd(response.headers.get('Range'));
+                    retries = 0;
+                    continue;
+                }
+                
+                if (!response.ok) {
+                    const error = new Error('Failed to upload file');
+                    error.status = response.status;
+                    throw error;
+                }
+                
+                const data = await response.json();
+                return finishUpload(data.id, fileName, uploadKey, total, onProgress);
+                
+            } catch (error) {
+                if (error.status === 404 || error.status === 410) {
+                    // Session expired - the next attempt starts a fresh one
+                    if (uploadKey) await StorageService.clearUploadSession(uploadKey);
+                    throw error;
+                }
+                
+                // Network errors (no status), 5xx and rate limits are worth retrying
+                const retryable = !error.status || error.status >= 500 || error.status === 429;
+                if (!retryable || ++retries > CONFIG.MAX_CHUNK_RETRIES) {
+                    throw error;
+                }
+                
+                console.warn(`Upload interrupted, resuming (attempt ${retries}):`, error);
+                confirmed = false;
+                await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** retries));
+            }
+        }
+    }
+    
+    /**
+     * Start a resumable upload session and return its URL
+     */
+    async function startUploadSession(blob, fileName, folderId, appProperties = null) {
         const metadata = {
             name: fileName,
             parents: [folderId]
         };
-        
-        const formData = new FormData();
-        formData.append('metadata', new Blob([JSON.stringify(metadata)], { type: 'application/json' }));
-        formData.append('file', blob);
+        if (appProperties) {
+            metadata.appProperties = appProperties;
+        }
         
         const response = await fetch(
-            'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&fields=id,name,webViewLink',
+            `${CONFIG.UPLOAD_URL}?uploadType=resumable&supportsAllDrives=true&fields=id,name,webViewLink`,
             {
                 method: 'POST',
-                headers: { Authorization: `Bearer ${accessToken}` },
-                body: formData
+                headers: {
+                    Authorization: `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json; charset=UTF-8',
+                    'X-Upload-Content-Type': blob.type || 'application/octet-stream',
+                    'X-Upload-Content-Length': String(blob.size)
+                },
+                body: JSON.stringify(metadata)
             }
         );
         
         if (!response.ok) {
-            const error = new Error('Failed to upload file');
+            const error = new Error('Failed to start upload');
+            error.status = response.status;
+            error.folderMissing = response.status === 404; // The cached folder was deleted
+            throw error;
+        }
+        
+        const url = response.headers.get('Location');
+        if (!url) {
+            throw new Error('Upload session URL missing from response');
+        }
+        return url;
+    }
+    
+    /**
+     * Ask Drive how much of an upload it has received.
+     * Returns { offset } for an incomplete upload or { fileId } if it finished.
+     */
+    async function queryUploadStatus(url, total) {
+        const response = await fetch(url, {
+            method: 'PUT',
+            headers: {
+                Authorization: `Bearer ${accessToken}`,
+                'Content-Range': `bytes */${total}`
+            }
+        });
+        
+        if (response.status === 308) {
+            return { offset: parseRangeEnd(response.headers.get('Range')) };
+        }
+        
+        if (!response.ok) {
+            const error = new Error('Failed to check upload status');
             error.status = response.status;
             throw error;
         }
         
         const data = await response.json();
-        console.log('Uploaded file:', fileName, data.id);
-        return data.id;
+        return { fileId: data.id };
+    }
+    
+    async function finishUpload(fileId, fileName, uploadKey, total, onProgress) {
+        if (uploadKey) await StorageService.clearUploadSession(uploadKey);
+        reportProgress(onProgress, total, total);
+        console.log('Uploaded file:', fileName, fileId);
+        return fileId;
+    }
+    
+    // Token lifetime
+    
+    /**
+     * Make sure the token outlasts the next request, refreshing it silently
+     * if it is about to expire. Waits for a refresh already under way.
+     */
+    async function ensureFreshToken() {
+        if (refreshPromise) {
+            await refreshPromise.catch(() => {});
+        }
+        if (!isAuthenticated()) {
+            throw reconnectError();
+        }
+        if (tokenExpiry - Date.now() > CONFIG.TOKEN_REFRESH_MARGIN_MS) {
+            return;
+        }
+        
+        // The service worker cannot refresh; it uses what is left of the token
+        if (!tokenClient && tokenExpiry > Date.now()) {
+            return;
+        }
+        await refreshToken();
+    }
+    
+    function scheduleRefresh() {
+        clearTimeout(refreshTimer);
+        if (!tokenClient) return;
+        
+        const delay = Math.max(0, tokenExpiry - Date.now() - CONFIG.TOKEN_REFRESH_MARGIN_MS);
+        refreshTimer = setTimeout(() => refreshToken().catch(() => {}), delay);
+    }
+    
+    function requestToken(prompt) {
+        return new Promise((resolve, reject) => {
+            tokenResolve = resolve;
+            tokenReject = reject;
+            tokenClient.requestAccessToken({ prompt, hint: currentUser?.email });
+        });
+    }
+    
+    function setNeedsReconnect(value) {
+        if (needsReconnect === value) return;
+        needsReconnect = value;
+        if (onSessionChange) onSessionChange(needsReconnect);
+    }
+    
+    function reconnectError() {
+        const error = new Error('Google Drive needs to be reconnected');
+        error.status = 401;
+        error.needsReconnect = true;
+        return error;
+    }
+    
+    // Destination adapter
+    
+    /**
+     * Sign in if needed, loading the Google libraries first
+     */
+    async function authenticate() {
+        if (!isInitialised) {
+            await init();
+        }
+        if (!isAuthenticated()) {
+            await signIn();
+        }
+        return true;
+    }
+    
+    async function ensureFolder(path) {
+        await ensureFreshToken();
+        return ensureFolderPath(path || CONFIG.ROOT_FOLDER);
+    }
+    
+    async function upload(recording, { folder = null, onProgress = null } = {}) {
+        const fileName = recording.fileName || `recording_${recording.id}.webm`;
+        const md5 = recording.md5 || await hashRecording(recording);
+        
+        const result = await uploadRecording(recording.blob, fileName, TemplateService.getRecordingPath(recording), {
+            folderId: folder,
+            // Keyed by recording so an interrupted upload resumes, even after a reload
+            uploadKey: `drive:${recording.id}`,
+            onProgress,
+            md5,
+            // Enough to list the recording on another device (see listRecordings)
+            appProperties: {
+                recordingId: String(recording.id),
+                md5,
+                recordedAt: recording.timestamp,
+                duration: String(Math.round(recording.duration || 0))
+            }
+        });
+        
+        return { remoteId: result.fileId, fileName, folderPath: result.folderPath, md5 };
+    }
+    
+    /**
+     * Check the uploaded file is there, not trashed, and matches the local
+     * recording's size and MD5
+     */
+    async function verify(recording, result) {
+        const response = await fetch(
+            `${CONFIG.API_URL}/files/${result.remoteId}?supportsAllDrives=true&fields=id,size,md5Checksum,trashed`,
+            {
+                headers: { Authorization: `Bearer ${accessToken}` }
+            }
+        );
+        
+        if (!response.ok) {
+            const error = new Error('Failed to verify upload');
+            error.status = response.status;
+            throw error;
+        }
+        
+        const file = await response.json();
+        const md5 = result.md5 || recording.md5;
+        
+        // Uploaded into a folder trashed since it was cached; the retry goes into a fresh one
+        if (file.trashed && result.folderPath) {
+            await forgetFolder(result.folderPath);
+        }
+        
+        return !file.trashed &&
+            Number(file.size) === recording.blob.size &&
+            (!md5 || file.md5Checksum === md5);
+    }
+    
+    /**
+     * MD5 of a recording, saved on it so it is only worked out once
+     */
+    async function hashRecording(recording) {
+        const md5 = await ChecksumService.md5Blob(recording.blob);
+        await StorageService.updateRecording(recording.id, { md5 });
+        return md5;
+    }
+    
+    /**
+     * Create or update the transcript next to an uploaded recording, and link
+     * the two: the transcript carries the audio's ID in its appProperties, and
+     * the audio's description links to the transcript.
+     * An existing transcript is updated in place; one is only created if
+     * neither fileId nor the audio's link finds one.
+     * @param {object} transcript - { name, content, mimeType, asDoc, fileId }
+     *     asDoc converts the content (HTML) into a Google Doc
+     * @returns {Promise<object>} { fileId, webViewLink }
+     */
+    async function saveTranscript(audioFileId, { name, content, mimeType, asDoc = false, fileId = null }) {
+        await ensureFreshToken();
+        
+        const audio = await getFileMetadata(audioFileId, 'id,name,parents,appProperties');
+        if (!audio) {
+            throw new Error('Recording is no longer on Drive');
+        }
+        
+        let existing = await findTranscript(audio, fileId);
+        if (existing && (existing.mimeType === CONFIG.DOC_MIME_TYPE) !== asDoc) {
+            // Drive cannot convert between a Doc and a plain file in place
+            await deleteFile(existing.id);
+            existing = null;
+        }
+        
+        const metadata = {
+            name,
+            description: `Transcript of ${audio.name}`,
+            appProperties: { kind: 'transcript', audioFileId: audio.id }
+        };
+        if (!existing) {
+            metadata.parents = audio.parents;
+            if (asDoc) metadata.mimeType = CONFIG.DOC_MIME_TYPE;
+        }
+        
+        const boundary = `voice-to-drive-${Date.now()}`;
+        const body = new Blob([
+            `--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n${JSON.stringify(metadata)}\r\n`,
+            `--${boundary}\r\nContent-Type: ${mimeType}; charset=UTF-8\r\n\r\n`,
+            content,
+            `\r\n--${boundary}--`
+        ]);
+        
+        const response = await fetch(
+            `${CONFIG.UPLOAD_URL}${existing ? `/${existing.id}` : ''}?uploadType=multipart&supportsAllDrives=true&fields=id,webViewLink`,
+            {
+                method: existing ? 'PATCH' : 'POST',
+                headers: {
+                    Authorization: `Bearer ${accessToken}`,
+                    'Content-Type': `multipart/related; boundary=${boundary}`
+                },
+                body
+            }
+        );
+        
+        if (!response.ok) {
+            const error = new Error('Failed to upload transcript');
+            error.status = response.status;
+            throw error;
+        }
+        
+        const file = await response.json();
+        
+        // appProperties are merged, so this leaves the recording's md5 alone
+        if (audio.appProperties?.transcriptFileId !== file.id) {
+            await updateMetadata(audio.id, {
+                description: `Transcript: ${file.webViewLink}`,
+                appProperties: { transcriptFileId: file.id }
+            });
+        }
+        
+        console.log(existing ? 'Transcript updated:' : 'Transcript uploaded:', name, file.id);
+        return { fileId: file.id, webViewLink: file.webViewLink };
+    }
+    
+    /**
+     * Delete a file (already gone counts as deleted)
+     */
+    async function deleteFile(fileId) {
+        const response = await fetch(`${CONFIG.API_URL}/files/${fileId}?supportsAllDrives=true`, {
+            method: 'DELETE',
+            headers: { Authorization: `Bearer ${accessToken}` }
+        });
+        
+        if (!response.ok && response.status !== 404) {
+            const error = new Error('Failed to delete file');
+            error.status = response.status;
+            throw error;
+        }
     }
     
     /**
@@ -359,7 +1030,7 @@ const DriveService = (function() {
         
         try {
             const response = await fetch(
-                'https://www.googleapis.com/drive/v3/about?fields=storageQuota',
+                `${CONFIG.API_URL}/about?fields=storageQuota`,
                 {
                     headers: { Authorization: `Bearer ${accessToken}` }
                 }
@@ -377,42 +1048,222 @@ const DriveService = (function() {
     }
     
     /**
-     * List recent uploads (for verification)
+     * List every recording uploaded by the app, with the folder path it is in
+     * now. Drive only shows the app files it created, so this is two paged
+     * searches (folders, then audio) rather than a walk of the folder tree.
+     * @returns {Promise<object[]>} { id, name, size, md5, path, createdTime,
+     *     webViewLink, appProperties }; path is null if the file is in a
+     *     folder the app did not create
      */
-    async function listRecentUploads(limit = 10) {
-        if (!isAuthenticated()) return [];
+    async function listRecordings() {
+        await ensureFreshToken();
         
-        try {
-            const query = `mimeType='audio/webm' or mimeType='audio/mp4' or mimeType='audio/mpeg'`;
+        const folders = new Map();
+        const folderList = await listFiles(`mimeType='${CONFIG.FOLDER_MIME_TYPE}' and trashed=false`, 'id,name,parents');
+        folderList.forEach(folder => folders.set(folder.id, folder));
+        
+        const folderPath = (id) => {
+            const names = [];
+            // Paths are relative to the chosen folder, like recording.drivePath
+            for (let folder = folders.get(id); folder && folder.id !== baseFolder?.id; folder = folders.get(folder.parents?.[0])) {
+                names.unshift(folder.name);
+                if (names.length > 50) break; // A folder cannot contain itself, but do not rely on it
+            }
+            return names.length > 0 ? names.join('/') : null;
+        };
+        
+        const files = await listFiles(`mimeType contains 'audio/' and trashed=false`,
+            'id,name,size,md5Checksum,createdTime,parents,appProperties,webViewLink');
+        
+        return files.map(file => ({
+            id: file.id,
+            name: file.name,
+            size: Number(file.size),
+            md5: file.md5Checksum || file.appProperties?.md5 || null,
+            path: folderPath(file.parents?.[0]),
+            createdTime: file.createdTime,
+            webViewLink: file.webViewLink,
+            appProperties: file.appProperties || {}
+        }));
+    }
+    
+    /**
+     * Look up one file directly. Search results can lag behind a fresh
+     * upload; this cannot. Returns null if it is deleted or in the trash.
+     */
+    async function getFile(fileId) {
+        await ensureFreshToken();
+        return getFileMetadata(fileId, 'id,name,parents');
+    }
+    
+    // Helper functions
+    
+    /**
+     * All results of a search, following nextPageToken
+     */
+    async function listFiles(query, fields) {
+        const files = [];
+        let pageToken = null;
+        
+        do {
+            const params = searchParams(query, `nextPageToken,files(${fields})`, { pageSize: '1000' });
+            if (pageToken) params.set('pageToken', pageToken);
             
-            const response = await fetch(
-                `https://www.googleapis.com/drive/v3/files?q=${encodeURIComponent(query)}&orderBy=createdTime desc&pageSize=${limit}&fields=files(id,name,createdTime,size,webViewLink)`,
-                {
-                    headers: { Authorization: `Bearer ${accessToken}` }
-                }
-            );
+            const response = await fetch(`${CONFIG.API_URL}/files?${params}`, {
+                headers: { Authorization: `Bearer ${accessToken}` }
+            });
             
-            if (response.ok) {
-                const data = await response.json();
-                return data.files;
+            if (!response.ok) {
+                const error = new Error('Failed to list files');
+                error.status = response.status;
+                throw error;
             }
-        } catch (error) {
-            console.error('Failed to list uploads:', error);
+            
+            const data = await response.json();
+            files.push(...data.files);
+            pageToken = data.nextPageToken;
+        } while (pageToken);
+        
+        return files;
+    }
+    
+    /**
+     * Get a file's metadata, or null if it is gone or in the trash
+     */
+    async function getFileMetadata(fileId, fields) {
+        const response = await fetch(
+            `${CONFIG.API_URL}/files/${fileId}?supportsAllDrives=true&fields=${fields},trashed`,
+            {
+                headers: { Authorization: `Bearer ${accessToken}` }
+            }
+        );
+        
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            const error = new Error('Failed to look up file');
+            error.status = response.status;
+            throw error;
         }
         
-        return [];
+        const file = await response.json();
+        return file.trashed ? null : file;
+    }
+    
+    async function updateMetadata(fileId, metadata) {
+        const response = await fetch(`${CONFIG.API_URL}/files/${fileId}?supportsAllDrives=true`, {
+            method: 'PATCH',
+            headers: {
+                Authorization: `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(metadata)
+        });
+        
+        if (!response.ok) {
+            const error = new Error('Failed to update file details');
+            error.status = response.status;
+            throw error;
+        }
+    }
+    
+    /**
+     * The transcript already made for an audio file: the one we last saved,
+     * the one the audio links to, or one tagged with the audio's ID
+     */
+    async function findTranscript(audio, fileId) {
+        for (const id of new Set([fileId, audio.appProperties?.transcriptFileId])) {
+            if (!id) continue;
+            const file = await getFileMetadata(id, 'id,mimeType');
+            if (file) return file;
+        }
+        
+        const query = `trashed=false and appProperties has { key='audioFileId' and value='${escapeQuery(audio.id)}' }`;
+        const response = await fetch(
+            `${CONFIG.API_URL}/files?${searchParams(query, 'files(id,mimeType)')}`,
+            {
+                headers: { Authorization: `Bearer ${accessToken}` }
+            }
+        );
+        
+        if (!response.ok) {
+            const error = new Error('Failed to search for an existing transcript');
+            error.status = response.status;
+            throw error;
+        }
+        
+        const data = await response.json();
+        return data.files[0] || null;
+    }
+    
+    /**
+     * Next byte to send, from a "Range: bytes=0-1234" header (none means nothing stored yet)
+     */
+    function parseRangeEnd(range) {
+        const match = /bytes=0-(\d+)/.exec(range || '');
+        return match ? parseInt(match[1]) + 1 : 0;
+    }
+    
+    /**
+     * Parameters for a search. Shared Drive items are included; with a
+     * folder in a Shared Drive, the search covers that drive.
+     */
+    function searchParams(query, fields, extra = {}) {
+        const params = new URLSearchParams({
+            q: query,
+            fields,
+            supportsAllDrives: 'true',
+            includeItemsFromAllDrives: 'true',
+            ...extra
+        });
+        if (baseFolder?.driveId) {
+            params.set('corpora', 'drive');
+            params.set('driveId', baseFolder.driveId);
+        }
+        return params;
+    }
+    
+    /**
+     * Quote a value for a Drive search query
+     */
+    function escapeQuery(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    }
+    
+    function reportProgress(onProgress, loaded, total) {
+        if (!onProgress) return;
+        const percent = total > 0 ? Math.floor((loaded / total) * 100) : 100;
+        onProgress({ loaded, total, percent });
     }
     
     // Public API
     return {
+        id: 'drive',
+        name: 'Google Drive',
         configure,
         init,
+        restoreSession,
+        isLoaded,
         signIn,
         signOut,
         isAuthenticated,
         getCurrentUser,
+        chooseFolder,
+        resetFolder,
+        getFolder,
+        refreshToken,
+        isReconnectNeeded,
+        setCallbacks,
         uploadRecording,
         getStorageQuota,
-        listRecentUploads
+        listRecordings,
+        getFile,
+        saveTranscript,
+        authenticate,
+        ensureFolder,
+        upload,
+        verify,
+        delete: deleteFile
     };
 })();
+
+DestinationService.register(DriveService);
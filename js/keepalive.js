@@ -0,0 +1,164 @@
+/**
+ * Voice to Drive - Keep-Alive Service
+ * Holds a Screen Wake Lock while recording so the screen dimming does not
+ * suspend the page, and re-acquires it whenever the page becomes visible
+ * again (browsers drop the lock every time the page hides).
+ *
+ * Also works out whether the platform is likely to suspend the page anyway,
+ * so the user can be warned before a drive is lost.
+ */
+
+const KeepAliveService = (function() {
+    // State
+    let wakeLock = null;
+    let active = false;
+    let listening = false;
+    
+    // Callbacks
+    let onRelease = null;
+    let onRiskChange = null;
+    
+    /**
+     * Whether the Screen Wake Lock API is available
+     */
+    function isSupported() {
+        return 'wakeLock' in navigator;
+    }
+    
+    /**
+     * Keep the page awake until stop() is called
+     */
+    async function start() {
+        active = true;
+        
+        if (!listening) {
+            document.addEventListener('visibilitychange', handleVisibilityChange);
+            listening = true;
+        }
+        
+        await acquire();
+        notifyRisk();
+    }
+    
+    /**
+     * Release the wake lock
+     */
+    async function stop() {
+        active = false;
+        
+        if (listening) {
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            listening = false;
+        }
+        
+        if (wakeLock) {
+            const lock = wakeLock;
+            wakeLock = null;
+            try {
+                await lock.release();
+            } catch (error) {
+                console.warn('Failed to release wake lock:', error);
+            }
+        }
+        
+        notifyRisk();
+    }
+    
+    /**
+     * Whether a wake lock is currently held
+     */
+    function isHeld() {
+        return !!wakeLock;
+    }
+    
+    /**
+     * Describe why the page may be suspended while recording, or return null
+     * if it should stay alive
+     */
+    function getSuspendRisk() {
+        if (isIOS() && !isStandalone()) {
+            return 'iOS pauses Safari tabs in the background. Add the app to your home screen and keep it open.';
+        }
+        if (!isSupported()) {
+            return 'This browser cannot keep the screen on. Recording may stop when the screen locks.';
+        }
+        if (active && !wakeLock && document.visibilityState === 'visible') {
+            return 'The screen may lock and stop the recording. Keep the app open.';
+        }
+        return null;
+    }
+    
+    /**
+     * Set callbacks
+     */
+    function setCallbacks(callbacks) {
+        onRelease = callbacks.onRelease;
+        onRiskChange = callbacks.onRiskChange;
+    }
+    
+    // Internal functions
+    
+    async function acquire() {
+        if (!isSupported() || wakeLock || document.visibilityState !== 'visible') return;
+        
+        try {
+            const lock = await navigator.wakeLock.request('screen');
+            
+            // stop() may have run while the request was pending
+            if (!active) {
+                await lock.release();
+                return;
+            }
+            
+            wakeLock = lock;
+            wakeLock.addEventListener('release', () => {
+                if (wakeLock !== lock) return;
+                wakeLock = null;
+                
+                // Hiding the page always releases the lock; anything else
+                // (battery saver, system policy) is worth reporting
+                if (active && document.visibilityState === 'visible' && onRelease) {
+                    onRelease();
+                }
+                notifyRisk();
+            });
+            
+            console.log('Wake lock acquired');
+        } catch (error) {
+            // Refused, e.g. on low battery
+            console.warn('Wake lock request failed:', error);
+        }
+    }
+    
+    async function handleVisibilityChange() {
+        if (active && document.visibilityState === 'visible') {
+            await acquire();
+            notifyRisk();
+        }
+    }
+    
+    function notifyRisk() {
+        if (onRiskChange) onRiskChange(active ? getSuspendRisk() : null);
+    }
+    
+    // Helper functions
+    
+    function isIOS() {
+        return /iPad|iPhone|iPod/.test(navigator.userAgent) ||
+            (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+    }
+    
+    function isStandalone() {
+        return window.matchMedia?.('(display-mode: standalone)').matches || navigator.standalone === true;
+    }
+    
+    // Public API
+    return {
+        isSupported,
+        start,
+        stop,
+        isHeld,
+        getSuspendRisk,
+        setCallbacks
+    };
+})();
@@ -0,0 +1,213 @@
+/**
+ * Voice to Drive - Local Folder Service
+ * Writes recordings straight into a folder on this computer with the File
+ * System Access API - for example one Syncthing or OneDrive already watches
+ * Recreates the folder layout from the path template inside the chosen folder
+ * Needs no connection, so it also works as an automatic export when no cloud
+ * destination is set up
+ * Registers itself as the 'folder' sync destination (see DestinationService)
+ */
+
+const LocalFolderService = (function() {
+    // State
+    let rootHandle = null;
+    let permission = 'prompt'; // granted, prompt or denied - browsers drop it between visits
+    
+    /**
+     * Whether the browser can write to local folders (desktop Chromium)
+     */
+    function isSupported() {
+        return typeof self.showDirectoryPicker === 'function';
+    }
+    
+    /**
+     * Load the saved folder and check whether access is still granted.
+     * Returns false if there is no folder or it needs permission again.
+     */
+    async function restoreSession() {
+        rootHandle = await StorageService.getSetting('localFolderHandle', null);
+        if (!rootHandle) return false;
+        
+        // Workers cannot always query, let alone prompt
+        permission = rootHandle.queryPermission
+            ? await rootHandle.queryPermission({ mode: 'readwrite' })
+            : 'prompt';
+        return permission === 'granted';
+    }
+    
+    /**
+     * Let the user pick the folder. Must be called from a click.
+     */
+    async function chooseFolder() {
+        if (!isSupported()) {
+            throw new Error('This browser cannot save to a folder');
+        }
+        
+        rootHandle = await showDirectoryPicker({ id: 'voice-to-drive', mode: 'readwrite' });
+        permission = 'granted';
+        await StorageService.setSetting('localFolderHandle', rootHandle);
+        
+        console.log('Local folder chosen:', rootHandle.name);
+        return rootHandle.name;
+    }
+    
+    /**
+     * Ask for access to the saved folder again, or pick one if there is none.
+     * Must be called from a click.
+     */
+    async function authenticate() {
+        if (!rootHandle) {
+            await restoreSession();
+        }
+        if (!rootHandle) {
+            await chooseFolder();
+            return true;
+        }
+        
+        if (permission !== 'granted') {
+            permission = await rootHandle.requestPermission({ mode: 'readwrite' });
+        }
+        if (permission !== 'granted') {
+            throw new Error(`Access to ${rootHandle.name} was not allowed`);
+        }
+        return true;
+    }
+    
+    function isAuthenticated() {
+        return !!rootHandle && permission === 'granted';
+    }
+    
+    /**
+     * Whether a folder is saved but the browser wants permission again
+     */
+    function needsPermission() {
+        return !!rootHandle && permission !== 'granted';
+    }
+    
+    /**
+     * Name of the chosen folder, or null
+     */
+    function getFolderName() {
+        return rootHandle ? rootHandle.name : null;
+    }
+    
+    /**
+     * Forget the folder (the files in it are left alone)
+     */
+    async function signOut() {
+        rootHandle = null;
+        permission = 'prompt';
+        await StorageService.setSetting('localFolderHandle', null);
+    }
+    
+    /**
+     * Ensure folder path exists, creating folders as needed
+     */
+    async function ensureFolder(path) {
+        return getDirectory(path, true);
+    }
+    
+    /**
+     * Write a recording into its date folder
+     */
+    async function upload(recording, { folder = null, onProgress = null } = {}) {
+        const fileName = recording.fileName || `recording_${recording.id}.webm`;
+        const folderPath = TemplateService.getRecordingPath(recording);
+        const directory = folder || await ensureFolder(folderPath);
+        const total = recording.blob.size;
+        
+        if (onProgress) onProgress({ loaded: 0, total, percent: 0 });
+        
+        const fileHandle = await directory.getFileHandle(fileName, { create: true });
+        const writable = await fileHandle.createWritable();
+        try {
+            await writable.write(recording.blob);
+            await writable.close();
+        } catch (error) {
+            // Leave the previous contents rather than a partial file
+            await writable.abort().catch(() => {});
+            throw error;
+        }
+        
+        if (onProgress) onProgress({ loaded: total, total, percent: 100 });
+        
+        console.log('Saved to local folder:', fileName);
+        return { remoteId: joinPath(folderPath, fileName), fileName, folderPath };
+    }
+    
+    /**
+     * Check the written file is there and the right size
+     */
+    async function verify(recording, result) {
+        const file = await getFile(result.remoteId);
+        return !!file && file.size === recording.blob.size;
+    }
+    
+    /**
+     * Delete a file (already gone counts as deleted)
+     */
+    async function deleteFile(filePath) {
+        const parts = filePath.split('/');
+        const fileName = parts.pop();
+        
+        try {
+            const directory = await getDirectory(parts.join('/'), false);
+            await directory.removeEntry(fileName);
+        } catch (error) {
+            if (error.name !== 'NotFoundError') throw error;
+        }
+    }
+    
+    // Helper functions
+    
+    async function getDirectory(path, create) {
+        if (!isAuthenticated()) {
+            throw new Error('No access to the local folder');
+        }
+        
+        let directory = rootHandle;
+        for (const name of (path || '').split('/').filter(p => p && p.trim() !== '')) {
+            directory = await directory.getDirectoryHandle(name, { create });
+        }
+        return directory;
+    }
+    
+    async function getFile(filePath) {
+        const parts = filePath.split('/');
+        const fileName = parts.pop();
+        
+        try {
+            const directory = await getDirectory(parts.join('/'), false);
+            const fileHandle = await directory.getFileHandle(fileName);
+            return await fileHandle.getFile();
+        } catch (error) {
+            if (error.name === 'NotFoundError') return null;
+            throw error;
+        }
+    }
+    
+    function joinPath(...parts) {
+        return parts.filter(Boolean).join('/').split('/').filter(Boolean).join('/');
+    }
+    
+    // Public API
+    return {
+        id: 'folder',
+        name: 'Local Folder',
+        offline: true,
+        isSupported,
+        restoreSession,
+        chooseFolder,
+        authenticate,
+        isAuthenticated,
+        needsPermission,
+        getFolderName,
+        signOut,
+        ensureFolder,
+        upload,
+        verify,
+        delete: deleteFile
+    };
+})();
+
+DestinationService.register(LocalFolderService);
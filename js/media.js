@@ -0,0 +1,176 @@
+/**
+ * Voice to Drive - Media Session Service
+ * Maps headset and steering-wheel media buttons onto App actions and
+ * publishes the recording state so the car display shows "Recording 12:34".
+ *
+ * Browsers only route media keys to a page that is playing audio, so a
+ * silent loop is played whenever the app is open, idle included: that way
+ * the play button can start a recording from idle.
+ */
+
+const MediaSessionService = (function() {
+    // State
+    let handlers = {};
+    let state = 'inactive';
+    let getElapsedFn = null;
+    let metadataInterval = null;
+    let silentAudio = null;
+    
+    // Button -> App action
+    const ACTIONS = {
+        play: 'play',
+        pause: 'pause',
+        stop: 'stop',
+        nexttrack: 'newSegment',
+        previoustrack: 'mark'
+    };
+    
+    /**
+     * Whether the Media Session API is available
+     */
+    function isSupported() {
+        return 'mediaSession' in navigator;
+    }
+    
+    /**
+     * Register action handlers.
+     * @param {object} actionHandlers - { play, pause, stop, newSegment, mark }
+     * @param {function} getElapsed - Returns elapsed recording time in seconds
+     */
+    function init(actionHandlers, getElapsed) {
+        if (!isSupported()) return false;
+        
+        handlers = actionHandlers || {};
+        getElapsedFn = getElapsed;
+        
+        Object.entries(ACTIONS).forEach(([action, name]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handlers[name] ? () => handlers[name]() : null);
+            } catch (error) {
+                // Older browsers throw for actions they do not know
+                console.warn(`Media Session action "${action}" not supported:`, error);
+            }
+        });
+        
+        console.log('Media Session handlers registered');
+        return true;
+    }
+    
+    /**
+     * Publish a recording state change ('recording', 'paused', 'inactive', ...)
+     * Idle is published as paused, so the play button maps to starting a
+     * recording rather than being given to another media app.
+     */
+    function setState(newState) {
+        if (!isSupported()) return;
+        
+        state = newState;
+        startSilentAudio();
+        
+        if (state === 'recording' || state === 'paused') {
+            navigator.mediaSession.playbackState = state === 'recording' ? 'playing' : 'paused';
+            startMetadataUpdates();
+        } else {
+            stopMetadataUpdates();
+            navigator.mediaSession.playbackState = 'paused';
+            updateMetadata('Ready to record');
+        }
+    }
+    
+    // Metadata
+    
+    function startMetadataUpdates() {
+        publishElapsed();
+        if (!metadataInterval) {
+            metadataInterval = setInterval(publishElapsed, 1000);
+        }
+    }
+    
+    function stopMetadataUpdates() {
+        if (metadataInterval) {
+            clearInterval(metadataInterval);
+            metadataInterval = null;
+        }
+    }
+    
+    function publishElapsed() {
+        const elapsed = getElapsedFn ? formatElapsed(getElapsedFn()) : '';
+        const label = state === 'paused' ? 'Paused' : 'Recording';
+        updateMetadata(`${label} ${elapsed}`.trim());
+    }
+    
+    function updateMetadata(title) {
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title,
+            artist: 'Voice to Drive',
+            artwork: [
+                { src: 'icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+                { src: 'icons/icon-512.png', sizes: '512x512', type: 'image/png' }
+            ]
+        });
+    }
+    
+    // Silent audio keeps this page the active media session
+    
+    function startSilentAudio() {
+        if (!silentAudio) {
+            silentAudio = new Audio(createSilentWavUrl());
+            silentAudio.loop = true;
+        }
+        
+        if (silentAudio.paused) {
+            silentAudio.play().catch(error => {
+                // Needs a user gesture; the next tap or key press will start it
+                console.warn('Silent audio blocked:', error);
+                document.addEventListener('pointerdown', startSilentAudio, { once: true });
+                document.addEventListener('keydown', startSilentAudio, { once: true });
+            });
+        }
+    }
+    
+    /**
+     * One second of 8 kHz, 8-bit mono silence as a WAV object URL
+     */
+    function createSilentWavUrl() {
+        const sampleRate = 8000;
+        const buffer = new ArrayBuffer(44 + sampleRate);
+        const view = new DataView(buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+        
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + sampleRate, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);       // fmt chunk size
+        view.setUint16(20, 1, true);        // PCM
+        view.setUint16(22, 1, true);        // mono
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate, true); // byte rate
+        view.setUint16(32, 1, true);        // block align
+        view.setUint16(34, 8, true);        // bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, sampleRate, true);
+        new Uint8Array(buffer, 44).fill(128); // 8-bit PCM silence is the midpoint
+        
+        return URL.createObjectURL(new Blob([buffer], { type: 'audio/wav' }));
+    }
+    
+    // Helper functions
+    
+    function formatElapsed(seconds) {
+        const pad = (n) => n.toString().padStart(2, '0');
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+        return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${pad(minutes)}:${pad(secs)}`;
+    }
+    
+    // Public API
+    return {
+        isSupported,
+        init,
+        setState
+    };
+})();
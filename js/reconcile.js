@@ -0,0 +1,144 @@
+/**
+ * Voice to Drive - Reconcile Service
+ * Checks the local library against what is actually in the Drive folder:
+ * recordings deleted or moved there, recordings already there that the
+ * queue did not know about, and recordings made on another device.
+ * Local recordings are matched to Drive files by the file ID stored after
+ * upload, then by MD5.
+ */
+
+const ReconcileService = (function() {
+    // State
+    let lastRun = 0;
+    let running = null;
+    
+    /**
+     * Reconcile with Drive, at most every CONFIG.RECONCILE_INTERVAL_MS unless forced
+     * @returns {Promise<object|null>} { both, localOnly, driveOnly, moved, missing, found },
+     *     or null if it did not run
+     */
+    async function run({ force = false } = {}) {
+        if (!DestinationService.isEnabled('drive') || !DriveService.isAuthenticated()) return null;
+        if (running) return running;
+        if (!force && Date.now() - lastRun < CONFIG.RECONCILE_INTERVAL_MS) return null;
+        
+        running = reconcile().finally(() => {
+            running = null;
+        });
+        return running;
+    }
+    
+    /**
+     * Recordings only in Drive, from the last run: { id, name, path, size,
+     * recordedAt, duration, webViewLink }
+     */
+    async function getDriveOnly() {
+        return StorageService.getSetting('driveOnlyRecordings', []);
+    }
+    
+    // Internal functions
+    
+    async function reconcile() {
+        const files = await DriveService.listRecordings();
+        const rootPath = TemplateService.getRootPath((await StorageService.getTemplates()).path);
+        const recordings = await StorageService.getAllRecordings();
+        const byId = new Map(files.map(file => [file.id, file]));
+        const summary = { both: 0, localOnly: 0, driveOnly: 0, moved: 0, missing: 0, found: 0 };
+        
+        // Files a recording already points at are never matched by checksum to another one
+        const matched = new Set(recordings.map(r => SyncService.getState(r, 'drive').remoteId).filter(Boolean));
+        
+        for (const recording of recordings) {
+            const state = SyncService.getState(recording, 'drive');
+            if (state.status === 'uploading') continue;
+            
+            let file = state.remoteId ? byId.get(state.remoteId) : null;
+            
+            if (!file && state.remoteId && state.status === 'synced') {
+                // Not listed: deleted, or too new to be in the search results yet
+                if (!await DriveService.getFile(state.remoteId)) {
+                    await SyncService.markMissing(recording.id, 'drive', 'Deleted from Google Drive');
+                    summary.missing++;
+                    summary.localOnly++;
+                } else {
+                    summary.both++;
+                }
+                continue;
+            }
+            
+            if (!file) {
+                file = await findByChecksum(recording, files, matched);
+                if (file) {
+                    // Uploaded before, from here or another tab, without the queue hearing about it
+                    await SyncService.markFound(recording.id, 'drive', { remoteId: file.id });
+                    summary.found++;
+                }
+            }
+            
+            if (!file) {
+                summary.localOnly++;
+                continue;
+            }
+            
+            matched.add(file.id);
+            summary.both++;
+            
+            const moved = file.path !== TemplateService.getRecordingPath(recording);
+            if (moved) summary.moved++;
+            if (moved !== !!state.moved || file.path !== state.remotePath) {
+                await StorageService.updateSyncState(recording.id, 'drive', { moved, remotePath: file.path });
+            }
+        }
+        
+        // Whatever is left under the recordings folder was made elsewhere or cleared from here
+        const driveOnly = files
+            .filter(file => !matched.has(file.id) && isUnder(file.path, rootPath))
+            .map(file => ({
+                id: file.id,
+                name: file.name,
+                path: file.path,
+                size: file.size,
+                recordedAt: file.appProperties.recordedAt || file.createdTime,
+                duration: Number(file.appProperties.duration) || null,
+                webViewLink: file.webViewLink
+            }))
+            .sort((a, b) => new Date(b.recordedAt) - new Date(a.recordedAt));
+        summary.driveOnly = driveOnly.length;
+        
+        await StorageService.setSetting('driveOnlyRecordings', driveOnly);
+        lastRun = Date.now();
+        
+        console.log('Reconciled with Drive:', summary);
+        return summary;
+    }
+    
+    /**
+     * An unmatched Drive file with the same contents. Hashing is only done
+     * when a file of the same size exists.
+     */
+    async function findByChecksum(recording, files, matched) {
+        if (!recording.blob) return null;
+        
+        const candidates = files.filter(file => !matched.has(file.id) && file.md5 && file.size === recording.blob.size);
+        if (candidates.length === 0) return null;
+        
+        let md5 = recording.md5;
+        if (!md5) {
+            md5 = await ChecksumService.md5Blob(recording.blob);
+            await StorageService.updateRecording(recording.id, { md5 });
+        }
+        
+        return candidates.find(file => file.md5 === md5) || null;
+    }
+    
+    function isUnder(path, rootPath) {
+        if (path === null) return false;
+        return !rootPath || path === rootPath || path.startsWith(`${rootPath}/`);
+    }
+    
+    // Public API
+    return {
+        run,
+        getDriveOnly
+    };
+})();
@@ -5,6 +5,15 @@
  * - Chunked saves for crash protection
  * - Audio level monitoring for visualisation
  * - Letterly-style manual pause/resume
+ * - Voice-activity detection that skips long silences
+ * - Splitting long sessions into separately saved parts
+ * - Armed pre-roll that keeps the last few seconds before record is pressed
+ * - Microphone hot-swap without interrupting the recording
+ *
+ * MediaRecorder records from a MediaStreamAudioDestinationNode rather than
+ * the mic itself, so the mic source feeding it can be swapped at any time.
+ * With voice-activity detection on, the audio reaches it through a short
+ * delay, so speech is detected before it is recorded and is not clipped.
  */
 
 const RecorderService = (function() {
@@ -12,27 +21,80 @@ const RecorderService = (function() {
     let mediaRecorder = null;
     let audioContext = null;
     let analyser = null;
-    let mediaStream = null;
+    let mediaStream = null; // Current mic stream
+    let micSource = null;
+    let recordingDestination = null; // Stable stream that MediaRecorder records
+    let lookahead = null; // DelayNode between the mic and recordingDestination
+    let preferredDeviceId = null; // The user's chosen mic
+    let currentDeviceId = null;
+    let switchingInput = null; // Promise while an input switch is in progress
     let chunks = [];
+    let persistedCount = 0; // How many of `chunks` are already in IndexedDB
+    let saveQueue = Promise.resolve(); // Serialises crash-protection writes
     let sessionId = null;
+    let resumedFrom = null;
     let chunkSequence = 0;
     let chunkInterval = null;
+    let levelInterval = null;
     let startTime = null;
     let pausedDuration = 0;
     let pauseStartTime = null;
+    let pendingPause = null; // Timer for a manual pause waiting out the lookahead
+    
+    // Voice-activity detection state
+    let vadPaused = false;
+    let lastSpeechTime = null;
+    let skippedIntervals = [];
+    let currentSkip = null;
+    
+    // Markers dropped during the current part
+    let markers = [];
+    
+    // Segmenting state - a session is saved as parts 1, 2, 3...
+    let part = 1;
+    let segmentStartElapsed = 0; // Session elapsed seconds when this part began
+    let segmentStartTime = null; // Wall-clock time this part began
+    let segmentBytes = 0;
+    
+    // Pre-roll state - in memory only, never persisted unless recording starts
+    let armed = false;
+    let prerollRecorders = []; // { recorder, chunks, startedAt }, oldest first
+    let prerollInterval = null;
+    let prerollSeconds = 0; // Pre-roll included in the current recording
+    
+    const MAX_LOOKAHEAD_SECONDS = 2;
     
     // Configuration
     const config = {
         mimeType: 'audio/webm;codecs=opus',
         audioBitsPerSecond: 64000, // Default, can be changed
         chunkIntervalMs: 30000, // Save chunk every 30 seconds
-        timeslice: 1000 // Data available every second
+        timeslice: 1000, // Data available every second
+        levelIntervalMs: 50, // How often the input level is read
+        vad: {
+            enabled: false,
+            threshold: 0.04, // Average level (0-1) that counts as speech
+            silenceMs: 5000, // Silence needed before auto-pausing
+            hangoverMs: 750, // Speech is assumed to continue this long after the last loud frame
+            lookaheadMs: 1000 // Recorded audio lags the detector by this much; hidden pages check about once a second
+        },
+        segment: {
+            enabled: false,
+            maxDurationSec: 0, // 0 = no duration limit
+            maxBytes: 0, // 0 = no size limit
+            splitOnSilenceMs: 0, // 0 = do not split at long silences
+            minDurationSec: 30 // Never produce parts shorter than this
+        },
+        prerollSeconds: 30
     };
     
     // Callbacks
     let onAudioLevel = null;
     let onChunkSaved = null;
     let onError = null;
+    let onVoiceActivity = null;
+    let onSegment = null;
+    let onInputChange = null;
     
     /**
      * Get available audio input devices
@@ -118,33 +180,32 @@ const RecorderService = (function() {
     }
     
     /**
-     * Initialise the recorder with a specific device
+     * Initialise the recorder with a specific device.
+     * Safe to call again (e.g. for a new bitrate); the mic is only reopened
+     * if the device changed or its stream has ended.
      */
     async function init(deviceId = null, bitrate = 64000) {
         try {
             config.audioBitsPerSecond = bitrate;
+            preferredDeviceId = deviceId;
             
-            // Get audio stream from specified device
-            const constraints = {
-                audio: {
-                    deviceId: deviceId ? { exact: deviceId } : undefined,
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true,
-                    sampleRate: 48000
-                }
-            };
-            
-            mediaStream = await navigator.mediaDevices.getUserMedia(constraints);
-            
-            // Set up audio context for level monitoring
-            audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            analyser = audioContext.createAnalyser();
-            analyser.fftSize = 256;
-            analyser.smoothingTimeConstant = 0.8;
+            if (!audioContext) {
+                // Set up audio context for level monitoring and recording
+                audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                analyser = audioContext.createAnalyser();
+                analyser.fftSize = 256;
+                analyser.smoothingTimeConstant = 0.8;
+                recordingDestination = audioContext.createMediaStreamDestination();
+                lookahead = audioContext.createDelay(MAX_LOOKAHEAD_SECONDS);
+                lookahead.connect(recordingDestination);
+                applyLookahead();
+                
+                navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+            }
             
-            const source = audioContext.createMediaStreamSource(mediaStream);
-            source.connect(analyser);
+            if (!isInputLive() || (deviceId && deviceId !== currentDeviceId)) {
+                await connectInput(deviceId);
+            }
             
             console.log('Recorder initialised with device:', deviceId || 'default');
             return true;
@@ -157,13 +218,69 @@ const RecorderService = (function() {
     }
     
     /**
-     * Start recording
+     * Switch to another microphone, during a recording or not.
+     * @param {string} deviceId - Device to use
+     * @param {string} [reason] - 'manual' (user choice, becomes the preferred
+     *     mic), 'disconnected', 'reconnected' or 'fallback'
+     */
+    async function switchInput(deviceId, reason = 'manual') {
+        if (!audioContext) {
+            throw new Error('Recorder not initialised. Call init() first.');
+        }
+        
+        if (reason === 'manual') {
+            preferredDeviceId = deviceId;
+        }
+        
+        // One switch at a time - 'ended' and 'devicechange' often fire together
+        while (switchingInput) {
+            await switchingInput;
+        }
+        if (deviceId === currentDeviceId && isInputLive()) return;
+        
+        switchingInput = (async () => {
+            const label = await connectInput(deviceId);
+            
+            if (sessionId) {
+                // Log the switch in the recording itself
+                markers.push({
+                    time: getElapsedTime() - segmentStartElapsed,
+                    label: `Mic: ${label}`,
+                    type: 'device',
+                    createdAt: new Date().toISOString()
+                });
+                queueRecoverySave();
+            }
+            
+            console.log(`Switched microphone to ${label} (${reason})`);
+            if (onInputChange) onInputChange({ deviceId: currentDeviceId, label, reason });
+        })();
+        
+        try {
+            await switchingInput;
+        } finally {
+            switchingInput = null;
+        }
+    }
+    
+    /**
+     * Start recording.
+     * Fails if the audio context cannot be resumed (e.g. the browser wants a
+     * user gesture first), since a suspended context would record silence.
      */
-    function start() {
+    async function start() {
         if (!mediaStream) {
             throw new Error('Recorder not initialised. Call init() first.');
         }
         
+        // Contexts created before any user gesture start suspended
+        if (audioContext.state !== 'running') {
+            await audioContext.resume();
+        }
+        if (audioContext.state !== 'running') {
+            throw new Error(`Audio could not be started (${audioContext.state}). Tap record to try again.`);
+        }
+        
         if (mediaRecorder && mediaRecorder.state === 'recording') {
             console.warn('Already recording');
             return;
@@ -172,32 +289,48 @@ const RecorderService = (function() {
         // Generate new session ID
         sessionId = `session_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
         chunks = [];
+        persistedCount = 0;
         chunkSequence = 0;
         pausedDuration = 0;
         pauseStartTime = null;
+        resumedFrom = null;
+        vadPaused = false;
+        skippedIntervals = [];
+        currentSkip = null;
+        markers = [];
+        part = 1;
+        segmentStartElapsed = 0;
+        segmentBytes = 0;
+        prerollSeconds = 0;
+        applyLookahead();
         
-        // Check supported MIME type
-        const mimeType = MediaRecorder.isTypeSupported(config.mimeType) 
-            ? config.mimeType 
-            : 'audio/webm';
-        
-        mediaRecorder = new MediaRecorder(mediaStream, {
-            mimeType,
-            audioBitsPerSecond: config.audioBitsPerSecond
-        });
-        
-        mediaRecorder.ondataavailable = handleDataAvailable;
-        mediaRecorder.onerror = handleError;
-        mediaRecorder.onstop = handleStop;
-        
-        // Start recording with timeslice for regular data
-        mediaRecorder.start(config.timeslice);
-        startTime = Date.now();
+        const preroll = takePreroll();
+        if (preroll) {
+            // Carry on with the armed recorder, so the pre-roll and the new
+            // audio are one continuous file; the timer includes the pre-roll
+            // actually captured, which is only roughly the configured length
+            mediaRecorder = preroll.recorder;
+            mediaRecorder.ondataavailable = handleDataAvailable;
+            chunks = preroll.chunks;
+            segmentBytes = chunks.reduce((total, c) => total + c.size, 0);
+            startTime = preroll.startedAt;
+            prerollSeconds = Math.round((Date.now() - preroll.startedAt) / 1000);
+        } else {
+            mediaRecorder = createMediaRecorder();
+            
+            // Start recording with timeslice for regular data
+            mediaRecorder.start(config.timeslice);
+            startTime = Date.now();
+        }
+        segmentStartTime = startTime;
+        lastSpeechTime = Date.now();
         
-        // Start chunk save interval for crash protection
+        // Write the session manifest straight away so even a crash before
+        // the first chunk save leaves a trace, then save chunks periodically
+        queueRecoverySave();
         startChunkInterval();
         
-        // Start audio level monitoring
+        // Start audio level monitoring, which also checks for part boundaries
         monitorAudioLevel();
         
         console.log('Recording started, session:', sessionId);
@@ -207,16 +340,27 @@ const RecorderService = (function() {
      * Pause recording
      */
     function pause() {
-        if (!mediaRecorder || mediaRecorder.state !== 'recording') {
-            console.warn('Not recording, cannot pause');
+        // Already paused by voice-activity detection - keep it paused, but manually
+        if (vadPaused) {
+            endSkip();
+            vadPaused = false;
+            console.log('Recording paused');
             return;
         }
         
-        mediaRecorder.pause();
-        pauseStartTime = Date.now();
+        if (!mediaRecorder || mediaRecorder.state !== 'recording' || pendingPause) {
+            console.warn('Not recording, cannot pause');
+            return;
+        }
         
-        // Save current chunk immediately when pausing
-        saveCurrentChunk();
+        // What was said just before the pause is still in the lookahead
+        // delay; the recorder pauses once it has come through
+        const lookaheadMs = getLookaheadMs();
+        if (lookaheadMs > 0) {
+            pendingPause = setTimeout(pauseRecorder, lookaheadMs);
+        } else {
+            pauseRecorder();
+        }
         
         console.log('Recording paused');
     }
@@ -225,6 +369,13 @@ const RecorderService = (function() {
      * Resume recording
      */
     function resume() {
+        // Resumed before the recorder actually paused - nothing was missed
+        if (pendingPause) {
+            cancelPendingPause();
+            console.log('Recording resumed');
+            return;
+        }
+        
         if (!mediaRecorder || mediaRecorder.state !== 'paused') {
             console.warn('Not paused, cannot resume');
             return;
@@ -235,12 +386,15 @@ const RecorderService = (function() {
             pauseStartTime = null;
         }
         
+        lastSpeechTime = Date.now();
         mediaRecorder.resume();
         console.log('Recording resumed');
     }
     
     /**
-     * Stop recording and return the blob
+     * Stop recording and return the blob.
+     * Its crash-recovery copy is left in place under `recoveryKey`; clear it
+     * with StorageService.clearRecoveryData once the recording is saved.
      */
     async function stop() {
         return new Promise((resolve, reject) => {
@@ -251,16 +405,23 @@ const RecorderService = (function() {
             
             // Stop chunk interval
             stopChunkInterval();
+            stopLevelMonitor();
+            cancelPendingPause();
+            endSkip();
+            vadPaused = false;
+            
+            const recoveryKey = chunkKey();
             
             // Store completion handler
             mediaRecorder.onstop = async (event) => {
                 try {
-                    // Create final blob from all chunks
+                    // Create final blob from all chunks of this part
                     const blob = new Blob(chunks, { type: mediaRecorder.mimeType });
-                    const duration = getElapsedTime();
+                    const duration = getElapsedTime() - segmentStartElapsed;
                     
-                    // Clear chunks from storage (recording completed successfully)
-                    await StorageService.clearSessionChunks(sessionId);
+                    // The recovery copy stays until the caller has saved the
+                    // blob; just let any in-flight chunk save finish
+                    await saveQueue;
                     
                     console.log('Recording stopped, duration:', duration, 'size:', blob.size);
                     
@@ -268,94 +429,209 @@ const RecorderService = (function() {
                         blob,
                         duration,
                         sessionId,
-                        mimeType: mediaRecorder.mimeType
+                        // Only sessions that were actually split are numbered
+                        part: part > 1 ? part : null,
+                        timestamp: part > 1 ? new Date(segmentStartTime).toISOString() : undefined,
+                        resumedFrom,
+                        prerollSeconds,
+                        skippedIntervals,
+                        markers,
+                        device: getInputLabel(),
+                        mimeType: mediaRecorder.mimeType,
+                        recoveryKey
                     });
                     
                     // Reset state
                     chunks = [];
+                    persistedCount = 0;
                     sessionId = null;
+                    resumedFrom = null;
+                    skippedIntervals = [];
+                    markers = [];
+                    
+                    if (armed) startPreroll();
                     
                 } catch (error) {
                     reject(error);
                 }
             };
             
-            // Request any remaining data and stop
+            // Request any remaining data and stop, once the audio still in
+            // the lookahead delay has reached the recorder
             if (mediaRecorder.state !== 'inactive') {
-                mediaRecorder.stop();
+                const recorder = mediaRecorder;
+                setTimeout(() => recorder.stop(), recorder.state === 'recording' ? getLookaheadMs() : 0);
             }
         });
     }
     
     /**
-     * Cancel recording and discard
+     * Cancel recording and discard.
+     * Earlier parts of a split session have already been saved and are kept.
      */
     async function cancel() {
         stopChunkInterval();
+        stopLevelMonitor();
+        cancelPendingPause();
+        
+        const recoveryKey = sessionId ? chunkKey() : null;
         
         if (mediaRecorder && mediaRecorder.state !== 'inactive') {
             mediaRecorder.onstop = null; // Remove handler to prevent processing
             mediaRecorder.stop();
         }
         
-        // Clear saved chunks
-        if (sessionId) {
-            await StorageService.clearSessionChunks(sessionId);
+        // Clear saved chunks and manifest
+        if (recoveryKey) {
+            await saveQueue;
+            await StorageService.clearRecoveryData(recoveryKey);
         }
         
         // Reset state
         chunks = [];
+        persistedCount = 0;
         sessionId = null;
+        resumedFrom = null;
+        vadPaused = false;
+        skippedIntervals = [];
+        currentSkip = null;
+        markers = [];
+        
+        if (armed) startPreroll();
     }
     
     /**
-     * Resume recording from crash recovery data
+     * Continue recording after a crash.
+     * A new MediaRecorder cannot append to the crashed session's WebM stream,
+     * so the captured audio stays with the old session (the caller saves it as
+     * its own recording) and a new session is started that notes which one it
+     * continues.
      */
     async function resumeFromRecovery(recoveryData) {
-        // 1. Restore state
-        sessionId = recoveryData.sessionId;
-        startTime = recoveryData.startTime;
-        pausedDuration = recoveryData.pausedDuration;
-        chunkSequence = recoveryData.chunkSequence;
-        
-        // 2. Load chunks from storage
-        const loadedChunks = await StorageService.loadSessionChunks(sessionId);
-        chunks = loadedChunks.map(c => c.blob);
+        await start();
+        resumedFrom = recoveryData.sessionId;
+        console.log('Resumed from recovery, session:', sessionId, 'continues:', resumedFrom);
+    }
+    
+    /**
+     * Drop a marker at the current position in the recording
+     * @param {string} label - e.g. 'important', 'todo', 'new topic'
+     * @returns {object} The marker: { time (seconds into this part's audio), label, createdAt }
+     */
+    function addMarker(label) {
+        if (!mediaRecorder || mediaRecorder.state === 'inactive') {
+            throw new Error('No recording in progress');
+        }
         
-        // 3. Re-initialise MediaRecorder
-        const mimeType = MediaRecorder.isTypeSupported(config.mimeType) 
-            ? config.mimeType 
-            : 'audio/webm';
-            
-        mediaRecorder = new MediaRecorder(mediaStream, {
-            mimeType,
-            audioBitsPerSecond: config.audioBitsPerSecond
-        });
+        const marker = {
+            time: getElapsedTime() - segmentStartElapsed,
+            label,
+            createdAt: new Date().toISOString()
+        };
+        markers.push(marker);
         
-        mediaRecorder.ondataavailable = handleDataAvailable;
-        mediaRecorder.onerror = handleError;
-        mediaRecorder.onstop = handleStop;
+        // Markers are small - persist them with the manifest straight away
+        queueRecoverySave();
         
-        // 4. Resume recording
-        mediaRecorder.start(config.timeslice);
+        console.log('Marker added:', marker);
+        return marker;
+    }
+    
+    /**
+     * Get markers dropped so far in the current session
+     */
+    function getMarkers() {
+        return markers.slice();
+    }
+    
+    /**
+     * Arm the microphone: keep about the last `seconds` of audio in memory
+     * so that start() can include what was said just before it. Nothing is
+     * written to storage until a recording actually starts.
+     */
+    function arm(seconds = config.prerollSeconds) {
+        if (!mediaStream) {
+            throw new Error('Recorder not initialised. Call init() first.');
+        }
         
-        // 5. Restart interval and monitoring
-        startChunkInterval();
-        monitorAudioLevel();
+        config.prerollSeconds = seconds;
+        armed = true;
         
-        console.log('Resumed from recovery, session:', sessionId);
+        if (getState() === 'inactive') {
+            startPreroll();
+        }
+        console.log(`Mic armed, keeping the last ${seconds}s`);
+    }
+    
+    /**
+     * Disarm the microphone and drop the pre-roll buffer
+     */
+    function disarm() {
+        armed = false;
+        stopPreroll();
+        console.log('Mic disarmed');
     }
     
     /**
-     * Get current state of the recorder
+     * Whether the microphone is armed for pre-roll
+     */
+    function isArmed() {
+        return armed;
+    }
+    
+    /**
+     * Configure automatic splitting into parts. Takes effect immediately,
+     * including during a recording.
+     * @param {object} options - { enabled, maxDurationSec, maxBytes, splitOnSilenceMs }
+     */
+    function setSegmentOptions(options = {}) {
+        Object.assign(config.segment, options);
+    }
+    
+    /**
+     * Get current state of the recorder.
+     * A session paused by voice-activity detection still reports 'recording',
+     * since the user has not paused it; see isAutoPaused().
      */
     function getState() {
         if (!mediaRecorder) {
             return 'inactive';
         }
+        if (pendingPause) {
+            return 'paused';
+        }
+        if (vadPaused) {
+            return 'recording';
+        }
         return mediaRecorder.state;
     }
     
+    /**
+     * Whether voice-activity detection is currently skipping silence
+     */
+    function isAutoPaused() {
+        return vadPaused;
+    }
+    
+    /**
+     * Configure voice-activity detection. Takes effect immediately,
+     * including during a recording, except for the lookahead, which only
+     * changes between recordings.
+     */
+    function setVadOptions(options = {}) {
+        // Start the silence clock from now, not from whenever speech was last heard
+        if (options.enabled && !config.vad.enabled) {
+            lastSpeechTime = Date.now();
+        }
+        Object.assign(config.vad, options);
+        applyLookahead();
+        
+        // Turning VAD off mid-silence should not leave the recording stuck paused
+        if (!config.vad.enabled && vadPaused) {
+            vadResume();
+        }
+    }
+    
     /**
      * Get elapsed time in seconds
      */
@@ -382,6 +658,9 @@ const RecorderService = (function() {
         onAudioLevel = callbacks.onAudioLevel;
         onChunkSaved = callbacks.onChunkSaved;
         onError = callbacks.onError;
+        onVoiceActivity = callbacks.onVoiceActivity;
+        onSegment = callbacks.onSegment;
+        onInputChange = callbacks.onInputChange;
     }
     
     // Internal Handlers
@@ -389,9 +668,142 @@ const RecorderService = (function() {
     function handleDataAvailable(event) {
         if (event.data.size > 0) {
             chunks.push(event.data);
+            segmentBytes += event.data.size;
+        }
+    }
+    
+    function createMediaRecorder() {
+        // Check supported MIME type
+        const mimeType = MediaRecorder.isTypeSupported(config.mimeType) 
+            ? config.mimeType 
+            : 'audio/webm';
+        
+        const recorder = new MediaRecorder(recordingDestination.stream, {
+            mimeType,
+            audioBitsPerSecond: config.audioBitsPerSecond
+        });
+        
+        recorder.ondataavailable = handleDataAvailable;
+        recorder.onerror = handleError;
+        return recorder;
+    }
+    
+    // Input handling
+    
+    /**
+     * Open a mic and route it into the analyser and the recording stream,
+     * replacing the previous one. Returns the device label.
+     */
+    async function connectInput(deviceId) {
+        const newStream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true,
+                sampleRate: 48000
+            }
+        });
+        
+        const newSource = audioContext.createMediaStreamSource(newStream);
+        newSource.connect(analyser);
+        newSource.connect(lookahead);
+        
+        // Connect the new mic before dropping the old one so nothing is missed
+        if (micSource) micSource.disconnect();
+        if (mediaStream) {
+            mediaStream.getTracks().forEach(track => {
+                track.onended = null;
+                track.stop();
+            });
+        }
+        
+        mediaStream = newStream;
+        micSource = newSource;
+        
+        const track = newStream.getAudioTracks()[0];
+        currentDeviceId = track.getSettings().deviceId || deviceId;
+        track.onended = handleTrackEnded;
+        
+        return track.label || 'Microphone';
+    }
+    
+    /**
+     * Name of the microphone in use, or null if there is none
+     */
+    function getInputLabel() {
+        return mediaStream?.getAudioTracks()[0]?.label || null;
+    }
+    
+    function isInputLive() {
+        const track = mediaStream?.getAudioTracks()[0];
+        return !!track && track.readyState === 'live';
+    }
+    
+    async function listInputs() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'audioinput' && device.deviceId);
+    }
+    
+    /**
+     * Best available input: the user's chosen mic, else the system default,
+     * else whatever is left
+     */
+    function pickInput(inputs) {
+        return inputs.find(d => d.deviceId === preferredDeviceId) ||
+            inputs.find(d => d.deviceId === 'default') ||
+            inputs[0] ||
+            null;
+    }
+    
+    /**
+     * The mic went away (e.g. Bluetooth headset dropped). The recording
+     * stream stays open, so until another mic is connected it records silence
+     * rather than stopping.
+     */
+    async function handleTrackEnded() {
+        console.warn('Microphone track ended');
+        
+        try {
+            const fallback = pickInput(await listInputs());
+            if (!fallback) {
+                throw new Error('No microphone available');
+            }
+            await switchInput(fallback.deviceId, 'disconnected');
+        } catch (error) {
+            console.error('Failed to fall back to another microphone:', error);
+            if (onError) onError(error);
+        }
+    }
+    
+    /**
+     * Devices were plugged in or removed. Go back to the chosen mic when it
+     * reappears, or pick one up if we have none.
+     */
+    async function handleDeviceChange() {
+        try {
+            const inputs = await listInputs();
+            const preferredAvailable = preferredDeviceId &&
+                inputs.some(d => d.deviceId === preferredDeviceId);
+            
+            if (preferredAvailable && currentDeviceId !== preferredDeviceId) {
+                await switchInput(preferredDeviceId, 'reconnected');
+            } else if (!isInputLive() && inputs.length > 0) {
+                await switchInput(pickInput(inputs).deviceId, 'fallback');
+            }
+        } catch (error) {
+            console.error('Failed to handle device change:', error);
         }
     }
     
+    /**
+     * Key under which the current part's chunks and manifest are stored.
+     * Part 1 uses the session ID itself so unsplit sessions look as before.
+     */
+    function chunkKey() {
+        return part > 1 ? `${sessionId}_part${part}` : sessionId;
+    }
+    
     function handleError(event) {
         console.error('MediaRecorder Error:', event.error);
         if (onError) onError(event.error);
@@ -413,53 +825,389 @@ const RecorderService = (function() {
     }
     
     /**
-     * Saves the current recording state and accumulated chunks to IndexedDB for crash recovery.
+     * Saves chunks captured since the last save, plus the session manifest,
+     * to IndexedDB for crash recovery. In-memory chunks are kept so stop()
+     * can build the final blob without reading them back.
      */
-    async function saveCurrentChunk() {
-        if (chunks.length === 0) return;
+    function saveCurrentChunk() {
+        if (chunks.length === persistedCount) return saveQueue;
+        
+        // Take the new chunks synchronously so data arriving mid-save is not lost
+        const chunkBlob = new Blob(chunks.slice(persistedCount), { type: mediaRecorder.mimeType });
+        persistedCount = chunks.length;
         
-        // 1. Save accumulated chunks
-        const chunkBlob = new Blob(chunks, { type: mediaRecorder.mimeType });
         const chunkInfo = {
-            sessionId,
+            sessionId: chunkKey(),
             sequence: chunkSequence++,
             blob: chunkBlob,
             timestamp: Date.now()
         };
         
-        await StorageService.saveChunk(chunkInfo);
-        if (onChunkSaved) onChunkSaved(chunkInfo);
-        
-        // Clear in-memory chunks after saving
-        chunks = [];
+        saveQueue = saveQueue
+            .then(async () => {
+                await StorageService.saveChunk(chunkInfo);
+                if (onChunkSaved) onChunkSaved(chunkInfo);
+            })
+            .catch(error => console.error('Failed to save chunk:', error));
         
-        // 2. Save recovery data
+        return queueRecoverySave();
+    }
+    
+    /**
+     * Queue a write of the session manifest used by crash recovery
+     */
+    function queueRecoverySave() {
         const recoveryData = {
-            sessionId,
-            startTime,
+            sessionId: chunkKey(),
+            recordingSessionId: sessionId,
+            part,
+            startTime: segmentStartTime,
             pausedDuration,
             chunkSequence,
+            skippedIntervals: skippedIntervals.slice(),
+            markers: markers.slice(),
+            elapsed: getElapsedTime() - segmentStartElapsed,
+            mimeType: mediaRecorder.mimeType,
             timestamp: Date.now()
         };
-        await StorageService.saveRecoveryData(recoveryData);
+        
+        saveQueue = saveQueue
+            .then(() => StorageService.saveRecoveryData(recoveryData))
+            .catch(error => console.error('Failed to save recovery data:', error));
+        
+        return saveQueue;
     }
     
+    /**
+     * Read the input level for the meter and voice-activity detection, and
+     * check whether it is time for a new part. Both happen on the same tick,
+     * so a silence split never sees a stale lastSpeechTime.
+     * This runs off a timer, not requestAnimationFrame: animation frames stop
+     * while the page is hidden, but the recording (and its silence
+     * detection) carries on. Hidden pages still get a tick about every second.
+     */
     function monitorAudioLevel() {
-        if (!analyser || !onAudioLevel) return;
+        stopLevelMonitor();
+        if (!analyser) return;
         
         const dataArray = new Uint8Array(analyser.frequencyBinCount);
         
-        const checkLevel = () => {
-            if (mediaRecorder && mediaRecorder.state !== 'inactive') {
-                analyser.getByteFrequencyData(dataArray);
-                const average = dataArray.reduce((a, b) => a + b, 0) / dataArray.length;
-                const level = average / 255;
-                onAudioLevel(level);
-                requestAnimationFrame(checkLevel);
+        levelInterval = setInterval(() => {
+            if (!mediaRecorder || mediaRecorder.state === 'inactive') {
+                stopLevelMonitor();
+                return;
+            }
+            
+            analyser.getByteFrequencyData(dataArray);
+            const average = dataArray.reduce((a, b) => a + b, 0) / dataArray.length;
+            const level = average / 255;
+            if (onAudioLevel) onAudioLevel(level);
+            if (config.vad.enabled) {
+                updateVoiceActivity(level);
+            } else if (level >= config.vad.threshold) {
+                // Still needed to find long silences for splitting
+                lastSpeechTime = Date.now();
+            }
+            
+            checkSegmentBoundary();
+        }, config.levelIntervalMs);
+    }
+    
+    function stopLevelMonitor() {
+        if (levelInterval) {
+            clearInterval(levelInterval);
+            levelInterval = null;
+        }
+    }
+    
+    /**
+     * Voice-activity detection, fed from the level monitor.
+     * Pauses once the level has stayed below the threshold for the hangover
+     * plus the silence window, and resumes on the first loud frame. Manual
+     * pauses are left alone.
+     */
+    function updateVoiceActivity(level) {
+        const now = Date.now();
+        
+        if (level >= config.vad.threshold) {
+            lastSpeechTime = now;
+            if (vadPaused) vadResume();
+            return;
+        }
+        
+        const silentFor = now - lastSpeechTime;
+        if (!vadPaused && !pendingPause && mediaRecorder.state === 'recording' &&
+            silentFor >= config.vad.hangoverMs + config.vad.silenceMs) {
+            vadPause();
+        }
+    }
+    
+    function pauseRecorder() {
+        pendingPause = null;
+        mediaRecorder.pause();
+        pauseStartTime = Date.now();
+        
+        // Save current chunk immediately when pausing
+        saveCurrentChunk();
+    }
+    
+    function cancelPendingPause() {
+        if (pendingPause) {
+            clearTimeout(pendingPause);
+            pendingPause = null;
+        }
+    }
+    
+    /**
+     * Delay the recorded audio by the VAD lookahead, so speech is detected
+     * and the recorder resumed before the speech itself reaches it. Only
+     * changed between recordings: changing the delay mid-stream would repeat
+     * or drop audio.
+     */
+    function applyLookahead() {
+        if (!lookahead || getState() !== 'inactive') return;
+        
+        const seconds = config.vad.enabled ? config.vad.lookaheadMs / 1000 : 0;
+        lookahead.delayTime.value = Math.min(Math.max(seconds, 0), MAX_LOOKAHEAD_SECONDS);
+    }
+    
+    function getLookaheadMs() {
+        return lookahead ? lookahead.delayTime.value * 1000 : 0;
+    }
+    
+    function vadPause() {
+        mediaRecorder.pause();
+        pauseStartTime = Date.now();
+        vadPaused = true;
+        currentSkip = { offset: getElapsedTime() - segmentStartElapsed, startedAt: pauseStartTime };
+        
+        saveCurrentChunk();
+        if (onVoiceActivity) onVoiceActivity(false);
+        console.log('Silence detected, auto-paused');
+    }
+    
+    function vadResume() {
+        const silentMs = currentSkip ? Date.now() - currentSkip.startedAt : 0;
+        
+        endSkip();
+        if (pauseStartTime) {
+            pausedDuration += Date.now() - pauseStartTime;
+            pauseStartTime = null;
+        }
+        vadPaused = false;
+        
+        // A long enough silence is a natural place to start the next part
+        if (shouldSplitOnSilence(silentMs)) {
+            splitSegment('silence');
+        } else {
+            mediaRecorder.resume();
+        }
+        if (onVoiceActivity) onVoiceActivity(true);
+        console.log('Speech detected, auto-resumed');
+    }
+    
+    /**
+     * Close the skipped interval in progress, if any.
+     * Intervals are { offset, duration } in seconds, where offset is the
+     * position in the saved audio at which the silence was cut out.
+     */
+    function endSkip() {
+        if (!currentSkip) return;
+        
+        const duration = Math.round((Date.now() - currentSkip.startedAt) / 100) / 10;
+        skippedIntervals.push({ offset: currentSkip.offset, duration });
+        currentSkip = null;
+    }
+    
+    // Segmenting
+    
+    function shouldSplitOnSilence(silentMs) {
+        return config.segment.enabled &&
+            config.segment.splitOnSilenceMs > 0 &&
+            silentMs >= config.segment.splitOnSilenceMs &&
+            getElapsedTime() - segmentStartElapsed >= config.segment.minDurationSec;
+    }
+    
+    /**
+     * Split when the current part reaches a duration or size limit, or has
+     * been silent long enough. Never splits during a manual or VAD pause;
+     * a VAD pause is handled when speech resumes (see vadResume).
+     */
+    function checkSegmentBoundary() {
+        if (!config.segment.enabled || !mediaRecorder || mediaRecorder.state !== 'recording') return;
+        
+        const segmentElapsed = getElapsedTime() - segmentStartElapsed;
+        if (segmentElapsed < config.segment.minDurationSec) return;
+        
+        if (config.segment.maxDurationSec && segmentElapsed >= config.segment.maxDurationSec) {
+            splitSegment('duration');
+        } else if (config.segment.maxBytes && segmentBytes >= config.segment.maxBytes) {
+            splitSegment('size');
+        } else if (shouldSplitOnSilence(Date.now() - lastSpeechTime)) {
+            splitSegment('silence');
+        }
+    }
+    
+    /**
+     * Close the current part and carry on in a new one.
+     * The next MediaRecorder is started before the old one is stopped, so no
+     * audio falls between parts. The finished part is handed to onSegment;
+     * its crash-recovery copy is only cleared once that has saved it.
+     */
+    function splitSegment(reason) {
+        // Flush what is in memory so the finished part is recoverable while it is saved
+        saveCurrentChunk();
+        endSkip();
+        
+        const finished = {
+            recorder: mediaRecorder,
+            chunks,
+            recoveryKey: chunkKey(),
+            result: {
+                sessionId,
+                part,
+                timestamp: new Date(segmentStartTime).toISOString(),
+                duration: getElapsedTime() - segmentStartElapsed,
+                resumedFrom,
+                skippedIntervals,
+                markers,
+                device: getInputLabel(),
+                splitReason: reason,
+                mimeType: mediaRecorder.mimeType
             }
         };
         
-        requestAnimationFrame(checkLevel);
+        // Late data from the old recorder belongs to the finished part
+        finished.recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) finished.chunks.push(event.data);
+        };
+        finished.recorder.onstop = async () => {
+            const blob = new Blob(finished.chunks, { type: finished.result.mimeType });
+            
+            try {
+                if (!onSegment) {
+                    throw new Error('No onSegment callback registered');
+                }
+                await onSegment({ blob, ...finished.result });
+                await saveQueue;
+                await StorageService.clearRecoveryData(finished.recoveryKey);
+            } catch (error) {
+                // Recovery data is kept, so the part is offered again on next launch
+                console.error('Failed to save segment:', error);
+                if (onError) onError(error);
+            }
+        };
+        
+        // Start the next part
+        part++;
+        chunks = [];
+        persistedCount = 0;
+        chunkSequence = 0;
+        segmentBytes = 0;
+        markers = [];
+        skippedIntervals = [];
+        resumedFrom = null;
+        segmentStartElapsed = getElapsedTime();
+        segmentStartTime = Date.now();
+        lastSpeechTime = segmentStartTime;
+        
+        mediaRecorder = createMediaRecorder();
+        mediaRecorder.start(config.timeslice);
+        finished.recorder.stop();
+        
+        queueRecoverySave();
+        console.log(`Split session ${sessionId} at part ${part} (${reason})`);
+    }
+    
+    /**
+     * Split now, regardless of the segment settings (e.g. a "new segment" button)
+     */
+    function newSegment() {
+        if (!mediaRecorder || mediaRecorder.state === 'inactive') {
+            throw new Error('No recording in progress');
+        }
+        
+        // The new part records straight away, so any pause ends here
+        cancelPendingPause();
+        const wasVadPaused = vadPaused;
+        if (pauseStartTime) {
+            pausedDuration += Date.now() - pauseStartTime;
+            pauseStartTime = null;
+        }
+        vadPaused = false;
+        
+        splitSegment('manual');
+        if (wasVadPaused && onVoiceActivity) onVoiceActivity(true);
+    }
+    
+    // Pre-roll
+    //
+    // MediaRecorder output cannot be trimmed from the front (the WebM header
+    // is in the first chunk), so instead of a true ring buffer, overlapping
+    // recorders are started every N/2 seconds. start() adopts the one whose
+    // start is closest to N seconds ago, so the pre-roll is within N/4 of N.
+    
+    function startPreroll() {
+        stopPreroll();
+        if (!mediaStream) return;
+        
+        addPrerollRecorder();
+        prerollInterval = setInterval(() => {
+            addPrerollRecorder();
+            
+            // The oldest of three has been running for N to 1.5N seconds;
+            // anything older is never the closest
+            while (prerollRecorders.length > 3) {
+                discardPrerollRecorder(prerollRecorders.shift());
+            }
+        }, config.prerollSeconds * 500);
+    }
+    
+    function stopPreroll() {
+        if (prerollInterval) {
+            clearInterval(prerollInterval);
+            prerollInterval = null;
+        }
+        prerollRecorders.forEach(discardPrerollRecorder);
+        prerollRecorders = [];
+    }
+    
+    function addPrerollRecorder() {
+        const entry = { recorder: createMediaRecorder(), chunks: [], startedAt: Date.now() };
+        entry.recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) entry.chunks.push(event.data);
+        };
+        entry.recorder.start(config.timeslice);
+        prerollRecorders.push(entry);
+    }
+    
+    function discardPrerollRecorder(entry) {
+        entry.recorder.ondataavailable = null;
+        entry.recorder.onstop = null;
+        if (entry.recorder.state !== 'inactive') {
+            entry.recorder.stop();
+        }
+        entry.chunks.length = 0;
+    }
+    
+    /**
+     * Hand start() the pre-roll recorder that started closest to N seconds
+     * ago and drop the rest
+     */
+    function takePreroll() {
+        if (!armed || prerollRecorders.length === 0) return null;
+        
+        if (prerollInterval) {
+            clearInterval(prerollInterval);
+            prerollInterval = null;
+        }
+        
+        const target = Date.now() - config.prerollSeconds * 1000;
+        const chosen = prerollRecorders.reduce((best, entry) =>
+            Math.abs(entry.startedAt - target) < Math.abs(best.startedAt - target) ? entry : best);
+        prerollRecorders.filter(entry => entry !== chosen).forEach(discardPrerollRecorder);
+        prerollRecorders = [];
+        return chosen;
     }
     
     // Public API
@@ -471,8 +1219,19 @@ const RecorderService = (function() {
         stop: stop,
         cancel: cancel,
         getState: getState,
+        isAutoPaused: isAutoPaused,
+        setVadOptions: setVadOptions,
+        addMarker: addMarker,
+        getMarkers: getMarkers,
+        arm: arm,
+        disarm: disarm,
+        isArmed: isArmed,
+        setSegmentOptions: setSegmentOptions,
+        newSegment: newSegment,
         getElapsedTime: getElapsedTime,
         getAudioDevices: getAudioDevices,
+        switchInput: switchInput,
+        getInputLabel: getInputLabel,
         testMicrophone: testMicrophone,
         setCallbacks: setCallbacks,
         resumeFromRecovery: resumeFromRecovery
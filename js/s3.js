@@ -0,0 +1,380 @@
+/**
+ * Voice to Drive - S3 Service
+ * Uploads recordings to any S3-compatible bucket (AWS S3, MinIO, Cloudflare
+ * R2...) with SigV4-signed requests straight from the browser
+ * Keys follow the Drive folder layout: <prefix>/<folder path>/<file name>
+ * Large recordings use multipart upload; finished parts are saved, so an
+ * interrupted upload carries on from the last complete part
+ * The secret key is saved in plain text in settings, since background sync
+ * in the service worker has to be able to use it; the setup UI says so.
+ * Registers itself as the 's3' sync destination (see DestinationService)
+ */
+
+const S3Service = (function() {
+    const CONFIG = {
+        MULTIPART_THRESHOLD: 16 * 1024 * 1024,
+        PART_SIZE: 8 * 1024 * 1024, // S3 needs at least 5 MiB for every part but the last
+        UPLOAD_SESSION_MAX_AGE_MS: 6 * 24 * 60 * 60 * 1000, // Well inside a typical abort-incomplete-uploads rule
+        MAX_PART_RETRIES: 3
+    };
+    
+    // State
+    let bucket = null; // { endpoint, region, bucket, prefix, accessKeyId, secretAccessKey }
+    
+    /**
+     * Load the saved bucket details. Returns false if there are none.
+     */
+    async function restoreSession() {
+        bucket = await StorageService.getSetting('s3', null);
+        return !!bucket;
+    }
+    
+    /**
+     * Check and save the bucket details. The check writes, reads back and
+     * deletes a small object under the prefix, which is exactly what the
+     * key's policy has to allow, and makes sure the bucket's CORS rules let
+     * the app read the ETag that multipart uploads depend on. An empty
+     * secret keeps the saved one.
+     */
+    async function configure({ endpoint, region, bucket: name, prefix, accessKeyId, secretAccessKey }) {
+        const candidate = {
+            endpoint: (endpoint || '').trim().replace(/\/+$/, ''),
+            region: (region || '').trim() || 'us-east-1',
+            bucket: (name || '').trim(),
+            prefix: (prefix || '').trim().replace(/^\/+|\/+$/g, ''),
+            accessKeyId: (accessKeyId || '').trim(),
+            secretAccessKey: secretAccessKey || bucket?.secretAccessKey || ''
+        };
+        
+        if (!/^https?:\/\//.test(candidate.endpoint)) {
+            throw new Error('Enter the S3 endpoint URL, starting with https://');
+        }
+        if (!candidate.bucket || !candidate.accessKeyId || !candidate.secretAccessKey) {
+            throw new Error('Enter the bucket name, access key and secret key');
+        }
+        
+        // Nothing is saved until the bucket accepts the key
+        const checkKey = joinKey(candidate.prefix, '.voice-to-drive-check');
+        const response = await send(candidate, 'PUT', checkKey, { body: new Blob(['ok']) });
+        try {
+            await send(candidate, 'HEAD', checkKey);
+            readEtag(response);
+        } finally {
+            // Never leave the check object in the bucket
+            await send(candidate, 'DELETE', checkKey);
+        }
+        
+        bucket = candidate;
+        await StorageService.setSetting('s3', bucket);
+        
+        console.log('S3 bucket configured:', bucket.bucket);
+        return true;
+    }
+    
+    /**
+     * Forget the bucket details
+     */
+    async function signOut() {
+        bucket = null;
+        await StorageService.setSetting('s3', null);
+    }
+    
+    async function authenticate() {
+        if (!bucket && !await restoreSession()) {
+            throw new Error('Enter the S3 bucket details in settings first');
+        }
+        return true;
+    }
+    
+    function isAuthenticated() {
+        return !!bucket;
+    }
+    
+    /**
+     * Get the bucket details, without the secret key
+     */
+    function getBucket() {
+        if (!bucket) return null;
+        const { secretAccessKey, ...details } = bucket;
+        return details;
+    }
+    
+    /**
+     * S3 has no folders - this just works out the key prefix for a path
+     */
+    async function ensureFolder(path) {
+        return joinKey(bucket.prefix, path);
+    }
+    
+    /**
+     * Upload a recording, in parts if it is large. Returns its object key.
+     */
+    async function upload(recording, { folder = null, onProgress = null } = {}) {
+        const fileName = recording.fileName || `recording_${recording.id}.webm`;
+        const folderPath = TemplateService.getRecordingPath(recording);
+        const key = joinKey(folder ?? await ensureFolder(folderPath), fileName);
+        const blob = recording.blob;
+        const contentType = blob.type || 'audio/webm';
+        
+        if (blob.size <= CONFIG.MULTIPART_THRESHOLD) {
+            reportProgress(onProgress, 0, blob.size);
+            await send(bucket, 'PUT', key, { body: blob, contentType });
+            reportProgress(onProgress, blob.size, blob.size);
+        } else {
+            await uploadMultipart(blob, key, contentType, `s3:${recording.id}`, onProgress);
+        }
+        
+        console.log('Uploaded to S3:', key);
+        return { remoteId: key, fileName, folderPath };
+    }
+    
+    /**
+     * Check the object is there and the right size
+     */
+    async function verify(recording, result) {
+        const response = await send(bucket, 'HEAD', result.remoteId);
+        return Number(response.headers.get('Content-Length')) === recording.blob.size;
+    }
+    
+    /**
+     * Delete an object (S3 treats a missing key as deleted)
+     */
+    async function deleteObject(key) {
+        await send(bucket, 'DELETE', key);
+    }
+    
+    // Multipart upload
+    
+    async function uploadMultipart(blob, key, contentType, uploadKey, onProgress) {
+        const total = blob.size;
+        
+        let session = await StorageService.getUploadSession(uploadKey);
+        if (session && (session.size !== total || session.objectKey !== key ||
+                Date.now() - session.createdAt > CONFIG.UPLOAD_SESSION_MAX_AGE_MS)) {
+            session = null;
+        }
+        
+        if (!session) {
+            const response = await send(bucket, 'POST', key, { query: { uploads: '' }, contentType });
+            session = {
+                key: uploadKey,
+                objectKey: key,
+                uploadId: readXmlValue(await response.text(), 'UploadId'),
+                size: total,
+                parts: [], // { partNumber, etag }
+                createdAt: Date.now()
+            };
+            await StorageService.saveUploadSession(session);
+        } else {
+            console.log('Resuming multipart upload:', key);
+        }
+        
+        const partCount = Math.ceil(total / CONFIG.PART_SIZE);
+        
+        try {
+            for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+                if (session.parts.some(part => part.partNumber === partNumber)) continue;
+                
+                const start = (partNumber - 1) * CONFIG.PART_SIZE;
+                const etag = await uploadPart(blob.slice(start, start + CONFIG.PART_SIZE), key, session.uploadId, partNumber);
+                
+                session.parts.push({ partNumber, etag });
+                await StorageService.saveUploadSession(session);
+                reportProgress(onProgress, Math.min(start + CONFIG.PART_SIZE, total), total);
+            }
+            
+            await completeMultipart(key, session);
+        } catch (error) {
+            // The upload ID is gone (aborted or expired) - the next attempt starts again
+            if (error.status === 404) {
+                await StorageService.clearUploadSession(uploadKey);
+            }
+            throw error;
+        }
+        
+        await StorageService.clearUploadSession(uploadKey);
+    }
+    
+    async function uploadPart(part, key, uploadId, partNumber) {
+        let retries = 0;
+        
+        while (true) {
+            try {
+                const response = await send(bucket, 'PUT', key, {
+                    query: { partNumber: String(partNumber), uploadId },
+                    body: part
+                });
+                
+                return readEtag(response);
+            } catch (error) {
+                // Network errors (no status), 5xx and rate limits are worth retrying
+                const retryable = !error.status || error.status >= 500 || error.status === 429;
+                if (error.message.includes('ETag') || !retryable || ++retries > CONFIG.MAX_PART_RETRIES) {
+                    throw error;
+                }
+                
+                console.warn(`Part ${partNumber} failed, retrying (${retries}/${CONFIG.MAX_PART_RETRIES}):`, error.message);
+                await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (retries - 1)));
+            }
+        }
+    }
+    
+    async function completeMultipart(key, session) {
+        const parts = [...session.parts]
+            .sort((a, b) => a.partNumber - b.partNumber)
+            .map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${escapeXml(part.etag)}</ETag></Part>`)
+            .join('');
+        
+        const response = await send(bucket, 'POST', key, {
+            query: { uploadId: session.uploadId },
+            body: `<CompleteMultipartUpload>${parts}</CompleteMultipartUpload>`,
+            contentType: 'application/xml'
+        });
+        
+        // S3 can report a failed completion in the body of a 200
+        const body = await response.text();
+        if (body.includes('<Error>')) {
+            const error = new Error(`Failed to complete upload: ${readXmlValue(body, 'Code')}`);
+            error.status = 500;
+            throw error;
+        }
+    }
+    
+    // SigV4 signing
+    
+    /**
+     * Send a signed request to the bucket. Throws on an error response.
+     */
+    async function send(credentials, method, key, { query = {}, body = null, contentType = null } = {}) {
+        const url = new URL(`${credentials.endpoint}/${encodePath(credentials.bucket)}/${encodePath(key)}`);
+        
+        // Built by hand: URLSearchParams encodes differently from what SigV4 signs
+        url.search = Object.keys(query).sort()
+            .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+            .join('&');
+        
+        const payload = body instanceof Blob ? await body.arrayBuffer() : new TextEncoder().encode(body || '');
+        const headers = await signRequest(credentials, method, url, payload);
+        if (contentType) headers['Content-Type'] = contentType;
+        
+        const response = await fetch(url, {
+            method,
+            headers,
+            body: method === 'GET' || method === 'HEAD' ? undefined : payload
+        });
+        
+        if (!response.ok) {
+            const text = method === 'HEAD' ? '' : await response.text();
+            const code = readXmlValue(text, 'Code');
+            const error = new Error(`S3 ${method} failed: ${response.status}${code ? ` ${code}` : ''}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        return response;
+    }
+    
+    async function signRequest(credentials, method, url, payload) {
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const date = amzDate.slice(0, 8);
+        const payloadHash = toHex(await crypto.subtle.digest('SHA-256', payload));
+        
+        const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            url.search.slice(1),
+            `host:${url.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+        
+        const scope = `${date}/${credentials.region}/s3/aws4_request`;
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalRequest)))
+        ].join('\n');
+        
+        let signingKey = new TextEncoder().encode(`AWS4${credentials.secretAccessKey}`);
+        for (const part of [date, credentials.region, 's3', 'aws4_request']) {
+            signingKey = await hmac(signingKey, part);
+        }
+        const signature = toHex(await hmac(signingKey, stringToSign));
+        
+        return {
+            Authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+    }
+    
+    async function hmac(key, message) {
+        const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        return crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(message));
+    }
+    
+    // Helper functions
+    
+    function joinKey(...parts) {
+        return parts.filter(Boolean).join('/').split('/').filter(Boolean).join('/');
+    }
+    
+    function encodeRfc3986(value) {
+        return encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+    }
+    
+    function encodePath(key) {
+        return key.split('/').map(encodeRfc3986).join('/');
+    }
+    
+    function toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * The ETag of a PUT. Browsers hide it unless the bucket's CORS rules
+     * expose it, even though S3 always sends it.
+     */
+    function readEtag(response) {
+        const etag = response.headers.get('ETag');
+        if (!etag) {
+            throw new Error('The bucket does not let the app read ETag headers - add ETag to ExposeHeaders in its CORS rules');
+        }
+        return etag;
+    }
+    
+    function readXmlValue(xml, tag) {
+        const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+        return match ? match[1] : null;
+    }
+    
+    function escapeXml(value) {
+        return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+    
+    function reportProgress(onProgress, loaded, total) {
+        if (onProgress) {
+            onProgress({ loaded, total, percent: total ? Math.round((loaded / total) * 100) : 100 });
+        }
+    }
+    
+    // Public API
+    return {
+        id: 's3',
+        name: 'S3',
+        restoreSession,
+        configure,
+        signOut,
+        authenticate,
+        isAuthenticated,
+        getBucket,
+        ensureFolder,
+        upload,
+        verify,
+        delete: deleteObject
+    };
+})();
+
+DestinationService.register(S3Service);
@@ -6,10 +6,12 @@
 
 const StorageService = (function() {
     const DB_NAME = 'voice-to-drive';
-    const DB_VERSION = 2; // Incremented to fix boolean->number migration
+    const DB_VERSION = 5; // 3: added sessions store for crash recovery manifests, 4: uploads store, 5: per-destination sync state
     const STORES = {
         RECORDINGS: 'recordings',
         CHUNKS: 'chunks',
+        SESSIONS: 'sessions',
+        UPLOADS: 'uploads',
         SETTINGS: 'settings'
     };
     
@@ -57,11 +59,26 @@ const StorageService = (function() {
                     chunksStore.createIndex('sequence', 'sequence');
                 }
                 
+                // Sessions store - one manifest per in-progress recording
+                if (!database.objectStoreNames.contains(STORES.SESSIONS)) {
+                    database.createObjectStore(STORES.SESSIONS, { keyPath: 'sessionId' });
+                }
+                
+                // Uploads store - resumable upload session URLs, so uploads survive a reload
+                if (!database.objectStoreNames.contains(STORES.UPLOADS)) {
+                    database.createObjectStore(STORES.UPLOADS, { keyPath: 'key' });
+                }
+                
                 // Settings store - user preferences
                 if (!database.objectStoreNames.contains(STORES.SETTINGS)) {
                     database.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
                 }
                 
+                // Drive state used to live in the top-level fields; destinations now keep their own
+                if (event.oldVersion > 0 && event.oldVersion < 5) {
+                    migrateDriveState(event.target.transaction.objectStore(STORES.RECORDINGS));
+                }
+                
                 console.log('Database schema created/upgraded');
             };
         });
@@ -69,21 +86,36 @@ const StorageService = (function() {
     
     /**
      * Save a completed recording
+     * @returns {Promise<object>} The saved recording, with the id IndexedDB gave it
      */
     async function saveRecording(blob, metadata = {}) {
+        // Recovered recordings keep the time they were actually made
+        const date = metadata.timestamp ? new Date(metadata.timestamp) : new Date();
+        const templates = await getTemplates();
+        const values = {
+            date,
+            part: metadata.part,
+            device: metadata.device,
+            tag: metadata.markers?.find(marker => marker.type !== 'device')?.label,
+            title: metadata.title
+        };
         const recording = {
-            blob,
-            timestamp: new Date().toISOString(),
-            duration: metadata.duration || 0,
-            fileName: generateFileName(new Date()),
-            drivePath: generateDrivePath(new Date()),
             status: 'pending', // pending, uploading, synced, failed
             synced: 0, // 0 = not synced, 1 = synced (IndexedDB requires numeric keys)
             retryCount: 0,
             lastRetry: null,
-            fileSize: blob.size,
             mimeType: blob.type,
-            ...metadata
+            markers: [], // { time, label, createdAt } - time is seconds into the audio
+            md5: null, // Worked out before the first Drive upload
+            sync: {}, // Sync state by destination or mirror, e.g. { drive: { status, retryCount, nextRetry, remoteId } }
+            ...metadata,
+            // After the metadata, so the names always come from the templates just rendered
+            blob,
+            timestamp: date.toISOString(),
+            duration: metadata.duration || 0,
+            fileName: TemplateService.renderFileName(templates.fileName, values, blob.type),
+            drivePath: TemplateService.renderPath(templates.path, values),
+            fileSize: blob.size
         };
         
         return new Promise((resolve, reject) => {
@@ -92,8 +124,9 @@ const StorageService = (function() {
             const request = store.add(recording);
             
             request.onsuccess = () => {
-                console.log('Recording saved, id:', request.result);
-                resolve(request.result);
+                recording.id = request.result;
+                console.log('Recording saved, id:', recording.id);
+                resolve(recording);
             };
             
             request.onerror = () => {
@@ -105,13 +138,14 @@ const StorageService = (function() {
     
     /**
      * Save a chunk during recording (crash protection)
+     * @param {object} chunkInfo - { sessionId, sequence, blob, timestamp }
      */
-    async function saveChunk(sessionId, sequence, blob) {
+    async function saveChunk(chunkInfo) {
         const chunk = {
-            sessionId,
-            sequence,
-            blob,
-            timestamp: new Date().toISOString()
+            sessionId: chunkInfo.sessionId,
+            sequence: chunkInfo.sequence,
+            blob: chunkInfo.blob,
+            timestamp: new Date(chunkInfo.timestamp || Date.now()).toISOString()
         };
         
         return new Promise((resolve, reject) => {
@@ -180,6 +214,121 @@ const StorageService = (function() {
         return combinedBlob;
     }
     
+    /**
+     * Save the manifest for an in-progress session (crash protection)
+     * @param {object} recoveryData - { sessionId, startTime, pausedDuration, chunkSequence, elapsed, mimeType, timestamp }
+     */
+    async function saveRecoveryData(recoveryData) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.SESSIONS], 'readwrite');
+            const store = transaction.objectStore(STORES.SESSIONS);
+            const request = store.put(recoveryData);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Get recovery info for an orphaned session.
+     * Combines the session manifest with what is actually in the chunks store,
+     * so sessions saved without a manifest can still be recovered.
+     * Returns null if no audio was captured.
+     */
+    async function getRecoveryData(sessionId) {
+        const chunks = await getSessionChunks(sessionId);
+        if (chunks.length === 0) return null;
+        
+        const manifest = await new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.SESSIONS], 'readonly');
+            const store = transaction.objectStore(STORES.SESSIONS);
+            const request = store.get(sessionId);
+            
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+        
+        const firstChunkAt = new Date(chunks[0].timestamp).getTime();
+        const lastChunkAt = new Date(chunks[chunks.length - 1].timestamp).getTime();
+        
+        return {
+            sessionId,
+            // Parts of a split session share recordingSessionId
+            recordingSessionId: manifest?.recordingSessionId || sessionId,
+            part: manifest?.part || 1,
+            startTime: manifest?.startTime || firstChunkAt,
+            pausedDuration: manifest?.pausedDuration || 0,
+            chunkSequence: manifest?.chunkSequence ?? chunks.length,
+            mimeType: manifest?.mimeType || chunks[0].blob.type,
+            // Without a manifest, the best guess is the span covered by saved chunks
+            elapsed: manifest?.elapsed ?? Math.floor((lastChunkAt - firstChunkAt) / 1000),
+            skippedIntervals: manifest?.skippedIntervals || [],
+            markers: manifest?.markers || [],
+            chunkCount: chunks.length,
+            size: chunks.reduce((total, c) => total + c.blob.size, 0),
+            timestamp: manifest?.timestamp || lastChunkAt
+        };
+    }
+    
+    /**
+     * Clear the manifest and chunks for a session
+     */
+    async function clearRecoveryData(sessionId) {
+        await clearSessionChunks(sessionId);
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.SESSIONS], 'readwrite');
+            const store = transaction.objectStore(STORES.SESSIONS);
+            const request = store.delete(sessionId);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Save a resumable upload session
+     * @param {object} uploadSession - { key, url, size, createdAt }
+     */
+    async function saveUploadSession(uploadSession) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.UPLOADS], 'readwrite');
+            const store = transaction.objectStore(STORES.UPLOADS);
+            const request = store.put(uploadSession);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Get a resumable upload session, or null if there is none
+     */
+    async function getUploadSession(key) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.UPLOADS], 'readonly');
+            const store = transaction.objectStore(STORES.UPLOADS);
+            const request = store.get(key);
+            
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Forget a resumable upload session (finished or expired)
+     */
+    async function clearUploadSession(key) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.UPLOADS], 'readwrite');
+            const store = transaction.objectStore(STORES.UPLOADS);
+            const request = store.delete(key);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
     /**
      * Get all unsynced recordings
      */
@@ -261,14 +410,41 @@ const StorageService = (function() {
                     return;
                 }
 
+                if (status === 'synced' && recording.status !== 'synced') {
+                    recording.syncedAt = new Date().toISOString();
+                }
+                
                 recording.status = status;
                 recording.synced = status === 'synced' ? 1 : 0; // Convert to number
                 
-                if (status === 'synced') {
-                    recording.syncedAt = new Date().toISOString();
+                Object.assign(recording, extraFields);
+                
+                const putRequest = store.put(recording);
+                putRequest.onsuccess = () => resolve(recording);
+                putRequest.onerror = () => reject(putRequest.error);
+            };
+            
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    }
+    
+    /**
+     * Merge fields into a stored recording (e.g. a checksum worked out later)
+     */
+    async function updateRecording(id, fields) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.RECORDINGS], 'readwrite');
+            const store = transaction.objectStore(STORES.RECORDINGS);
+            const getRequest = store.get(id);
+            
+            getRequest.onsuccess = () => {
+                const recording = getRequest.result;
+                if (!recording) {
+                    reject(new Error('Recording not found'));
+                    return;
                 }
                 
-                Object.assign(recording, extraFields);
+                Object.assign(recording, fields);
                 
                 const putRequest = store.put(recording);
                 putRequest.onsuccess = () => resolve(recording);
@@ -280,15 +456,48 @@ const StorageService = (function() {
     }
     
     /**
-     * Increment retry count for failed upload
+     * Update a recording's sync state for one destination or mirror (e.g.
+     * 'drive', 'supabase'). The top-level status is a roll-up kept by SyncService.
      */
-    async function incrementRetryCount(id) {
+    async function updateSyncState(id, target, fields) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.RECORDINGS], 'readwrite');
+            const store = transaction.objectStore(STORES.RECORDINGS);
+            const getRequest = store.get(id);
+            
+            getRequest.onsuccess = () => {
+                const recording = getRequest.result;
+                if (!recording) {
+                    reject(new Error('Recording not found'));
+                    return;
+                }
+                
+                recording.sync = recording.sync || {};
+                recording.sync[target] = { ...recording.sync[target], ...fields };
+                
+                const putRequest = store.put(recording);
+                putRequest.onsuccess = () => resolve(recording);
+                putRequest.onerror = () => reject(putRequest.error);
+            };
+            
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    }
+    
+    /**
+     * Increment a target's retry count after a failed upload, optionally
+     * moving it to a new status
+     */
+    async function incrementRetryCount(id, target, status = null, extraFields = {}) {
         const recording = await getRecording(id);
         if (!recording) return;
         
-        return updateRecordingStatus(id, recording.status, {
-            retryCount: (recording.retryCount || 0) + 1,
-            lastRetry: new Date().toISOString()
+        const state = recording.sync?.[target] || {};
+        return updateSyncState(id, target, {
+            status: status || state.status || 'pending',
+            retryCount: (state.retryCount || 0) + 1,
+            lastRetry: new Date().toISOString(),
+            ...extraFields
         });
     }
     
@@ -379,41 +588,86 @@ const StorageService = (function() {
     }
     
     /**
-     * Check for orphaned chunks (from crashed sessions)
+     * Ask the browser not to evict recordings under storage pressure.
+     * Matters most when the device is the only copy.
+     */
+    async function requestPersistence() {
+        if (!navigator.storage?.persist) return false;
+        
+        try {
+            return await navigator.storage.persist();
+        } catch (error) {
+            console.warn('Persistent storage request failed:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Check for orphaned chunks and manifests (from crashed sessions)
      */
     async function getOrphanedSessions() {
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORES.CHUNKS], 'readonly');
-            const store = transaction.objectStore(STORES.CHUNKS);
-            const request = store.getAll();
+            const transaction = db.transaction([STORES.CHUNKS, STORES.SESSIONS], 'readonly');
+            const chunkSessions = new Set();
             
-            request.onsuccess = () => {
-                const chunks = request.result;
-                const sessions = [...new Set(chunks.map(c => c.sessionId))];
-                resolve(sessions);
+            // Walk the index keys rather than loading every chunk blob
+            const cursorRequest = transaction.objectStore(STORES.CHUNKS).index('sessionId').openKeyCursor(null, 'nextunique');
+            cursorRequest.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    chunkSessions.add(cursor.key);
+                    cursor.continue();
+                }
             };
             
-            request.onerror = () => reject(request.error);
+            const manifestRequest = transaction.objectStore(STORES.SESSIONS).getAllKeys();
+            
+            transaction.oncomplete = () => {
+                resolve([...new Set([...chunkSessions, ...manifestRequest.result])]);
+            };
+            
+            transaction.onerror = () => reject(transaction.error);
         });
     }
     
     // Helper functions
-    function generateFileName(date) {
-        const pad = (n) => n.toString().padStart(2, '0');
-        const y = date.getFullYear();
-        const m = pad(date.getMonth() + 1);
-        const d = pad(date.getDate());
-        const h = pad(date.getHours());
-        const min = pad(date.getMinutes());
-        const s = pad(date.getSeconds());
-        return `${y}-${m}-${d}_${h}-${min}-${s}.webm`;
+    /**
+     * Folder and file name templates from settings. A plain folder saved by
+     * older versions becomes that folder with the usual date layout.
+     */
+    async function getTemplates() {
+        let path = await getSetting('pathTemplate');
+        if (!path) {
+            const legacyPath = await getSetting('drivePath');
+            path = legacyPath ? `${legacyPath}/{yyyy}/{MM}/{dd}` : TemplateService.DEFAULT_PATH;
+        }
+        
+        return {
+            path,
+            fileName: await getSetting('fileNameTemplate') || TemplateService.DEFAULT_FILE_NAME
+        };
     }
     
-    function generateDrivePath(date) {
-        const y = date.getFullYear().toString();
-        const m = (date.getMonth() + 1).toString().padStart(2, '0');
-        const d = date.getDate().toString().padStart(2, '0');
-        return `recordings/${y}/${m}/${d}`;
+    function migrateDriveState(store) {
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            
+            const recording = cursor.value;
+            recording.sync = recording.sync || {};
+            if (!recording.sync.drive && (recording.status !== 'pending' || recording.retryCount)) {
+                recording.sync.drive = {
+                    status: recording.status === 'uploading' ? 'pending' : recording.status,
+                    retryCount: recording.retryCount || 0,
+                    lastRetry: recording.lastRetry || null,
+                    nextRetry: recording.nextRetry || null,
+                    lastError: recording.lastError || null,
+                    remoteId: recording.driveId || null
+                };
+                cursor.update(recording);
+            }
+            cursor.continue();
+        };
     }
     
     // Public API
@@ -424,17 +678,27 @@ const StorageService = (function() {
         getSessionChunks,
         clearSessionChunks,
         recoverFromChunks,
+        saveRecoveryData,
+        getRecoveryData,
+        clearRecoveryData,
+        saveUploadSession,
+        getUploadSession,
+        clearUploadSession,
         getUnsyncedRecordings,
         markRecordingAsSynced,
         getAllRecordings,
         getRecording,
         updateRecordingStatus,
+        updateRecording,
+        updateSyncState,
         incrementRetryCount,
         deleteRecording,
         clearSyncedRecordings,
         getSetting,
+        getTemplates,
         setSetting,
         getStorageEstimate,
+        requestPersistence,
         getOrphanedSessions
     };
 })();
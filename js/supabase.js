@@ -1,8 +1,11 @@
 /**
  * Voice to Drive - Supabase Service
- * Handles two-stage sync:
- * 1. Uploads audio blob to Supabase Storage (immediate cloud backup)
+ * Optional cloud mirror of the local recordings. Handles two-stage sync:
+ * 1. Uploads audio blob to Supabase Storage (cloud backup)
  * 2. Inserts/updates metadata in Supabase PostgreSQL
+ *
+ * IndexedDB stays the source of truth; SyncService retries the mirror
+ * separately from Drive, so Supabase being down never holds up Drive.
  */
 const SupabaseService = (function() {
     // NOTE: Replace with actual Supabase URL and Anon Key in app.js CONFIG
@@ -13,23 +16,37 @@ const SupabaseService = (function() {
     function init(url, anonKey) {
         supabaseUrl = url;
         supabaseAnonKey = anonKey;
-        if (typeof supabase === 'undefined' && typeof window.supabase !== 'undefined') {
+        
+        if (!url || url === 'YOUR_SUPABASE_URL' || !anonKey || anonKey === 'YOUR_SUPABASE_ANON_KEY') {
+            console.log('Supabase not configured, mirror disabled.');
+            return;
+        }
+        
+        if (!supabase && typeof window.supabase !== 'undefined') {
             // Assumes Supabase client library is loaded in index.html
             supabase = window.supabase.createClient(supabaseUrl, supabaseAnonKey);
             console.log('Supabase client initialized.');
-        } else {
+        } else if (!supabase) {
             console.error('Supabase client library not loaded.');
         }
     }
+    
+    /**
+     * Whether the mirror is set up and usable
+     */
+    function isConfigured() {
+        return !!supabase;
+    }
 
     /**
      * Uploads an audio blob to Supabase Storage and inserts a record into PostgreSQL.
      * @param {Blob} audioBlob - The audio data to upload.
      * @param {string} recordId - The unique ID of the recording.
      * @param {number} duration - The duration of the recording in seconds.
+     * @param {object} [driveState] - { synced, driveId } so a late mirror reflects Drive
      * @returns {Promise<object>} - The Supabase record data.
      */
-    async function uploadAndInsertMetadata(audioBlob, recordId, duration) {
+    async function uploadAndInsertMetadata(audioBlob, recordId, duration, driveState = {}) {
         if (!supabase) {
             throw new Error('Supabase service not initialized.');
         }
@@ -44,7 +61,7 @@ const SupabaseService = (function() {
             .upload(storagePath, audioBlob, {
                 cacheControl: '3600',
                 upsert: true,
-                contentType: 'audio/webm'
+                contentType: audioBlob.type || 'audio/webm'
             });
 
         if (uploadError) {
@@ -52,25 +69,46 @@ const SupabaseService = (function() {
             throw uploadError;
         }
 
-        // 2. Insert metadata into PostgreSQL
+        // 2. Insert metadata into PostgreSQL. A retry after a half-finished
+        // attempt finds the row already there: the insert is skipped, so its
+        // transcription status and created_at (the queue order) are kept
         const { data: metadata, error: insertError } = await supabase
             .from('recordings') // Assumes a 'recordings' table exists
-            .insert([
+            .upsert([
                 {
                     id: recordId,
                     duration: duration,
                     storage_path: storagePath,
-                    synced_to_drive: 0, // 0 = false, 1 = true (numeric for IndexedDB compatibility)
+                    synced_to_drive: driveState.synced ? 1 : 0, // 0 = false, 1 = true (numeric for IndexedDB compatibility)
+                    drive_file_id: driveState.driveId || null,
                     transcription_status: 'PENDING',
                     created_at: new Date().toISOString()
                 }
-            ]);
+            ], { onConflict: 'id', ignoreDuplicates: true });
 
         if (insertError) {
             console.error('Supabase Metadata Insert Error:', insertError);
             throw insertError;
         }
 
+        // Bring an existing row up to date, leaving the insert-only columns alone.
+        // Drive state only moves forward, so a stale retry cannot unmark a synced row
+        const changes = { duration: duration, storage_path: storagePath };
+        if (driveState.synced) {
+            changes.synced_to_drive = 1;
+            changes.drive_file_id = driveState.driveId || null;
+        }
+
+        const { error: updateError } = await supabase
+            .from('recordings')
+            .update(changes)
+            .eq('id', recordId);
+
+        if (updateError) {
+            console.error('Supabase Metadata Update Error:', updateError);
+            throw updateError;
+        }
+
         return metadata;
     }
 
@@ -125,10 +163,41 @@ const SupabaseService = (function() {
         return data;
     }
 
+    /**
+     * Retrieves the current transcription text of some records, including
+     * edits made since the transcripts were saved.
+     * @param {Array<string>} recordIds - The unique IDs of the recordings.
+     * @returns {Promise<Map>} - recordId -> transcription text, for records that have one.
+     */
+    async function getTranscriptions(recordIds) {
+        if (!supabase) {
+            throw new Error('Supabase service not initialized.');
+        }
+
+        const { data, error } = await supabase
+            .from('recordings')
+            .select('id, transcription_text')
+            .in('id', recordIds);
+
+        if (error) {
+            console.error('Supabase Query Error:', error);
+            throw error;
+        }
+
+        return new Map(data
+            .filter(row => row.transcription_text)
+            .map(row => [String(row.id), row.transcription_text]));
+    }
+
     return {
         init: init,
+        isConfigured: isConfigured,
+        get supabase() {
+            return supabase;
+        },
         uploadAndInsertMetadata: uploadAndInsertMetadata,
         getUnsyncedToDriveRecords: getUnsyncedToDriveRecords,
-        markSyncedToDrive: markSyncedToDrive
+        markSyncedToDrive: markSyncedToDrive,
+        getTranscriptions: getTranscriptions
     };
 })();
@@ -0,0 +1,320 @@
+/**
+ * Voice to Drive - Sync Service
+ * Upload queue for saved recordings. Each recording is tried on its own, so
+ * one bad upload no longer holds up the rest of the batch.
+ *
+ * Status moves pending -> uploading -> synced. A failed attempt goes back to
+ * pending with a nextRetry time that backs off exponentially (with jitter, so
+ * queued items do not all retry at once); after CONFIG.MAX_RETRY_COUNT
+ * attempts it becomes 'failed' and waits for the user to retry it.
+ *
+ * Each target - every enabled destination (see DestinationService) and the
+ * Supabase mirror - is queued and retried on its own, with its state under
+ * recording.sync[target]. The recording's top-level status and synced flag
+ * roll up the enabled destinations, for the list and the unsynced index.
+ *
+ * Loaded by both the page and the service worker, which share the queue in
+ * IndexedDB; a Web Lock stops them uploading at the same time.
+ */
+
+const SyncService = (function() {
+    const BASE_RETRY_DELAY_MS = 15 * 1000;
+    const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+    
+    // State
+    const running = new Set();
+    
+    // Callbacks
+    let onItemStart = null;
+    let onItemSynced = null;
+    let onItemError = null;
+    
+    /**
+     * Work through a list of recordings, skipping any not yet due a retry.
+     * @param {object[]} recordings - Local recordings (with blob)
+     * @param {function} upload - async (recording) => result, optionally
+     *     with a remoteId
+     * @param {string} target - Destination ID or a mirror name such as 'supabase'
+     * @returns {object|null} { synced, retrying, failed, waiting }, or null
+     *     if a run for this target was already in progress
+     */
+    async function run(recordings, upload, target) {
+        if (running.has(target)) return null;
+        
+        if (navigator.locks) {
+            // Another tab or the service worker holding the lock means the queue is being handled
+            return navigator.locks.request(`voice-to-drive-sync-${target}`, { ifAvailable: true },
+                (lock) => lock ? runQueue(recordings, upload, target) : null);
+        }
+        return runQueue(recordings, upload, target);
+    }
+    
+    /**
+     * Upload the queue to every enabled, signed-in destination. Used by both
+     * the page and the service worker.
+     * @param {function} [onProgress] - (recordingId, { loaded, total, percent }),
+     *     then (recordingId, null) when the upload ends
+     * @param {boolean} [options.offlineOnly] - Only destinations that need no connection
+     * @returns {object} Summary from run() per destination ID
+     */
+    async function syncDestinations(onProgress = null, { offlineOnly = false } = {}) {
+        const results = {};
+        
+        for (const destination of DestinationService.getEnabled()) {
+            if (!destination.isAuthenticated() || (offlineOnly && !destination.offline)) continue;
+            
+            // All recordings, not just unsynced ones: a newly enabled destination starts with a backlog
+            const recordings = (await StorageService.getAllRecordings())
+                .filter(r => r.blob && isDue(r, destination.id));
+            if (recordings.length === 0) continue;
+            
+            results[destination.id] = await run(recordings,
+                (recording) => uploadTo(destination, recording, onProgress), destination.id);
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Whether a sync run is in progress for a target in this context
+     */
+    function isActive(target) {
+        return running.has(target);
+    }
+    
+    /**
+     * Sync state of a recording for a target: { status, retryCount, nextRetry, lastError, remoteId }
+     */
+    function getState(recording, target) {
+        return recording.sync?.[target] || { status: 'pending' };
+    }
+    
+    /**
+     * Whether a recording should be attempted now
+     */
+    function isDue(recording, target, now = Date.now()) {
+        const state = getState(recording, target);
+        if (state.status === 'synced' || state.status === 'failed') return false;
+        return !state.nextRetry || new Date(state.nextRetry).getTime() <= now;
+    }
+    
+    /**
+     * Put a failed recording back in the queue with a fresh set of retries
+     */
+    async function retry(id, target) {
+        return setState(id, target, 'pending', {
+            retryCount: 0,
+            lastRetry: null,
+            nextRetry: null,
+            lastError: null,
+            missing: false
+        });
+    }
+    
+    /**
+     * Record that the remote copy was found where the upload state did not
+     * expect it: already there (matched by checksum) or moved
+     * @param {object} fields - { remoteId, remotePath, moved }
+     */
+    async function markFound(id, target, fields) {
+        return setState(id, target, 'synced', {
+            nextRetry: null,
+            lastError: null,
+            missing: false,
+            ...fields
+        });
+    }
+    
+    /**
+     * Record that the remote copy was deleted outside the app. It is not
+     * uploaded again unless the user taps Retry.
+     */
+    async function markMissing(id, target, message) {
+        return setState(id, target, 'failed', {
+            remoteId: null,
+            nextRetry: null,
+            lastError: message,
+            missing: true
+        });
+    }
+    
+    /**
+     * Roll the enabled destinations' state up into each recording's status
+     * and synced flag. Needed after destinations are switched on or off.
+     */
+    async function refreshAll() {
+        const recordings = await StorageService.getAllRecordings();
+        for (const recording of recordings) {
+            await refreshOverallStatus(recording.id);
+        }
+    }
+    
+    /**
+     * Delay before the next attempt: doubles with each retry up to an hour,
+     * and keeps at least half of it with the rest random
+     */
+    function getRetryDelay(retryCount) {
+        const delay = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** Math.max(0, retryCount - 1));
+        return delay / 2 + Math.random() * (delay / 2);
+    }
+    
+    /**
+     * Set callbacks
+     */
+    function setCallbacks(callbacks) {
+        onItemStart = callbacks.onItemStart;
+        onItemSynced = callbacks.onItemSynced;
+        onItemError = callbacks.onItemError;
+    }
+    
+    // Internal functions
+    
+    async function runQueue(recordings, upload, target) {
+        running.add(target);
+        
+        const summary = { synced: 0, retrying: 0, failed: 0, waiting: 0 };
+        
+        try {
+            for (const listed of recordings) {
+                // The list may be stale if another context synced while this one waited
+                const stored = await StorageService.getRecording(listed.id);
+                const recording = { ...listed, ...stored };
+                if (!stored || !isDue(recording, target)) {
+                    summary.waiting++;
+                    continue;
+                }
+                
+                const outcome = await processItem(recording, upload, target);
+                summary[outcome]++;
+            }
+        } finally {
+            running.delete(target);
+        }
+        
+        return summary;
+    }
+    
+    async function processItem(recording, upload, target) {
+        let result;
+        
+        try {
+            await setState(recording.id, target, 'uploading');
+            if (onItemStart) onItemStart(recording, target);
+            
+            result = await upload(recording);
+            
+            await setState(recording.id, target, 'synced', {
+                remoteId: result?.remoteId ?? null,
+                syncedAt: new Date().toISOString(),
+                nextRetry: null,
+                lastError: null
+            });
+        } catch (error) {
+            return recordFailure(recording, error, target);
+        }
+        
+        // Outside the try: a problem here must not count against an upload that worked
+        if (onItemSynced) {
+            try {
+                await onItemSynced(recording, result, target);
+            } catch (error) {
+                console.error('Post-sync step failed:', recording.id, error);
+            }
+        }
+        
+        return 'synced';
+    }
+    
+    async function recordFailure(recording, error, target) {
+        console.error(`Upload to ${target} failed:`, recording.id, error);
+        
+        // Going offline is not the recording's fault, so it does not use up a retry
+        if (!navigator.onLine && !DestinationService.get(target)?.offline) {
+            await setState(recording.id, target, 'pending');
+            return 'waiting';
+        }
+        
+        // Nor is a lapsed sign-in; the upload waits until the user reconnects
+        if (error.needsReconnect) {
+            await setState(recording.id, target, 'pending', { lastError: error.message });
+            return 'waiting';
+        }
+        
+        const retryCount = (getState(recording, target).retryCount || 0) + 1;
+        const failed = retryCount >= CONFIG.MAX_RETRY_COUNT;
+        
+        await StorageService.incrementRetryCount(recording.id, target, failed ? 'failed' : 'pending', {
+            lastError: error.message,
+            nextRetry: failed ? null : new Date(Date.now() + getRetryDelay(retryCount)).toISOString()
+        });
+        await refreshOverallStatus(recording.id);
+        
+        if (onItemError) onItemError(recording, error, failed, target);
+        return failed ? 'failed' : 'retrying';
+    }
+    
+    async function uploadTo(destination, recording, onProgress) {
+        const progress = onProgress ? (p) => onProgress(recording.id, p) : null;
+        
+        try {
+            const folder = await destination.ensureFolder(TemplateService.getRecordingPath(recording));
+            const result = await destination.upload(recording, { folder, onProgress: progress });
+            
+            if (!await destination.verify(recording, result)) {
+                throw new Error(`${destination.name} copy is incomplete`);
+            }
+            
+            return result;
+        } finally {
+            if (progress) progress(null);
+        }
+    }
+    
+    async function setState(id, target, status, fields = {}) {
+        await StorageService.updateSyncState(id, target, { status, ...fields });
+        await refreshOverallStatus(id);
+    }
+    
+    /**
+     * Top-level status: synced once every enabled destination is, otherwise
+     * uploading / failed / pending from the destinations' own states. The
+     * furthest-behind destination's retry count and error go with it, for the list.
+     */
+    async function refreshOverallStatus(id) {
+        const recording = await StorageService.getRecording(id);
+        if (!recording) return;
+        
+        const states = DestinationService.getEnabled().map(d => getState(recording, d.id));
+        const statuses = states.map(state => state.status);
+        const behind = states.filter(state => state.status !== 'synced');
+        let status = 'pending';
+        
+        if (states.length > 0 && behind.length === 0) {
+            status = 'synced';
+        } else if (statuses.includes('uploading')) {
+            status = 'uploading';
+        } else if (statuses.includes('failed')) {
+            status = 'failed';
+        }
+        
+        await StorageService.updateRecordingStatus(id, status, {
+            retryCount: Math.max(0, ...behind.map(state => state.retryCount || 0)),
+            lastError: behind.find(state => state.lastError)?.lastError || null
+        });
+    }
+    
+    // Public API
+    return {
+        run,
+        syncDestinations,
+        isActive,
+        getState,
+        isDue,
+        retry,
+        markFound,
+        markMissing,
+        refreshAll,
+        getRetryDelay,
+        setCallbacks
+    };
+})();
@@ -0,0 +1,157 @@
+/**
+ * Voice to Drive - Template Service
+ * Folder path and file name templates, e.g. 'recordings/{yyyy}/{MM}/{dd}'.
+ * StorageService names each recording with them when it is saved, and every
+ * destination (Drive included) files it under that path.
+ */
+
+const TemplateService = (function() {
+    const DEFAULT_PATH = 'recordings/{yyyy}/{MM}/{dd}';
+    const DEFAULT_FILE_NAME = '{yyyy}-{MM}-{dd}_{HH}-{mm}-{ss}_{part}';
+    const MAX_NAME_LENGTH = 255;
+    
+    const TOKENS = {
+        yyyy: 'Year, e.g. 2024',
+        MM: 'Month, 01-12',
+        dd: 'Day of the month, 01-31',
+        HH: 'Hour, 00-23',
+        mm: 'Minute',
+        ss: 'Second',
+        weekday: 'Day name, e.g. Monday',
+        device: 'Microphone used',
+        tag: 'Label of the first marker',
+        title: 'Recording title from settings',
+        part: 'part02 for split recordings, otherwise empty'
+    };
+    
+    // Not allowed by Windows and most sync clients, so not by us either;
+    // '/' separates folders, so it is only allowed in the path
+    const INVALID_CHARS = /[\\:*?"<>|\u0000-\u001f]/;
+    const INVALID_CHARS_GLOBAL = /[\\/:*?"<>|\u0000-\u001f]/g;
+    
+    /**
+     * Render a folder path template. Empty folders (e.g. an unused {tag}) are dropped.
+     * @param {object} values - { date, device, tag, title, part }
+     */
+    function renderPath(template, values = {}) {
+        return (template || DEFAULT_PATH)
+            .split('/')
+            .map(segment => tidyName(fill(segment, values)))
+            .filter(Boolean)
+            .join('/');
+    }
+    
+    /**
+     * Render a file name template and add the extension for the audio type
+     */
+    function renderFileName(template, values = {}, mimeType = '') {
+        const name = tidyName(fill(template || DEFAULT_FILE_NAME, values)) || 'recording';
+        return `${name}.${getExtension(mimeType)}`;
+    }
+    
+    /**
+     * Folder a stored recording goes in. Recordings saved before it was
+     * stored on them get the default layout from their timestamp.
+     */
+    function getRecordingPath(recording) {
+        return recording.drivePath || renderPath(DEFAULT_PATH, { date: new Date(recording.timestamp || Date.now()) });
+    }
+    
+    /**
+     * The fixed folders a path template starts with, which every recording
+     * goes under: 'recordings' for 'recordings/{yyyy}/{MM}'. Empty if the
+     * first folder has a token in it.
+     */
+    function getRootPath(template) {
+        const segments = (template || DEFAULT_PATH).split('/').filter(s => s.trim() !== '');
+        const fixed = segments.findIndex(segment => segment.includes('{'));
+        return segments.slice(0, fixed === -1 ? segments.length : fixed).join('/');
+    }
+    
+    /**
+     * Problems with a template, as messages; empty if it is fine
+     * @param {boolean} [isFileName] - '/' is not allowed in file names
+     */
+    function validate(template, isFileName = false) {
+        const errors = [];
+        if (!template || !template.trim()) {
+            return ['Enter a template'];
+        }
+        
+        const unknown = [...template.matchAll(/\{([^{}]*)\}/g)]
+            .map(match => match[1])
+            .filter(token => !(token in TOKENS));
+        if (unknown.length > 0) {
+            errors.push(`Unknown ${unknown.length > 1 ? 'tokens' : 'token'}: ${unknown.map(t => `{${t}}`).join(', ')}`);
+        }
+        
+        const literal = template.replace(/\{[^{}]*\}/g, '');
+        if (/[{}]/.test(literal)) {
+            errors.push('Unmatched { or }');
+        }
+        
+        const invalid = literal.match(isFileName ? INVALID_CHARS_GLOBAL : new RegExp(INVALID_CHARS, 'g'));
+        if (invalid) {
+            const shown = [...new Set(invalid)].map(c => c < ' ' ? 'control characters' : c).join(' ');
+            errors.push(`Not allowed in names: ${shown}`);
+        }
+        
+        if (!isFileName && template.split('/').some(segment => segment.trim() === '.' || segment.trim() === '..')) {
+            errors.push('Folders cannot be called . or ..');
+        }
+        
+        return errors;
+    }
+    
+    // Internal functions
+    
+    function fill(template, values) {
+        const date = values.date || new Date();
+        const pad = (n) => n.toString().padStart(2, '0');
+        const tokens = {
+            yyyy: date.getFullYear().toString(),
+            MM: pad(date.getMonth() + 1),
+            dd: pad(date.getDate()),
+            HH: pad(date.getHours()),
+            mm: pad(date.getMinutes()),
+            ss: pad(date.getSeconds()),
+            weekday: date.toLocaleDateString('en-GB', { weekday: 'long' }),
+            device: values.device || '',
+            tag: values.tag || '',
+            title: values.title || '',
+            part: values.part ? `part${pad(values.part)}` : ''
+        };
+        
+        // Free text (mic names, titles) must not add folders or invalid characters
+        return template.replace(/\{(\w+)\}/g, (match, token) =>
+            token in tokens ? tokens[token].replace(INVALID_CHARS_GLOBAL, '-') : match);
+    }
+    
+    /**
+     * Trim separators an empty token leaves behind, e.g. 'name_' or '__'
+     */
+    function tidyName(name) {
+        return name
+            .replace(/([ _\-.])[ _\-.]+/g, '$1')
+            .replace(/^[ _\-.]+|[ _\-.]+$/g, '')
+            .slice(0, MAX_NAME_LENGTH);
+    }
+    
+    function getExtension(mimeType) {
+        if (mimeType.includes('mp4')) return 'm4a';
+        if (mimeType.includes('ogg')) return 'ogg';
+        return 'webm';
+    }
+    
+    // Public API
+    return {
+        DEFAULT_PATH,
+        DEFAULT_FILE_NAME,
+        TOKENS,
+        renderPath,
+        renderFileName,
+        getRecordingPath,
+        getRootPath,
+        validate
+    };
+})();
@@ -73,8 +73,11 @@ const TranscribeService = (function() {
     /**
      * Main function to start the transcription process.
      * @param {string} recordId - The unique ID of the recording.
+     * @param {object} [callbacks] - { onTranscript(recordId, text), onDone(recordId) }.
+     *     onTranscript keeps the finished text (e.g. saves it next to the
+     *     audio); onDone runs whether the pipeline succeeded or failed.
      */
-    async function startTranscriptionPipeline(recordId) {
+    async function startTranscriptionPipeline(recordId, { onTranscript = null, onDone = null } = {}) {
         try {
             // 1. Update status to 'IN_PROGRESS'
             await SupabaseService.supabase
@@ -88,10 +91,13 @@ const TranscribeService = (function() {
             // 3. Save transcription to Supabase
             await saveTranscription(recordId, transcription);
             
+            // 4. Keep a copy with the recording
+            if (onTranscript) await onTranscript(recordId, transcription);
+            
             console.log(`[TranscribeService] Transcription pipeline completed for ${recordId}`);
             
             // Trigger UI update
-            App.updateRecordingsList();
+            if (onDone) onDone(recordId);
             
         } catch (error) {
             console.error(`[TranscribeService] Pipeline failed for ${recordId}:`, error);
@@ -100,14 +106,70 @@ const TranscribeService = (function() {
                 .from('recordings')
                 .update({ transcription_status: 'FAILED' })
                 .eq('id', recordId);
-            App.updateRecordingsList();
+            if (onDone) onDone(recordId);
+        }
+    }
+    
+    /**
+     * Turn a transcript into a file to save next to the recording.
+     * @param {object} recording - The local recording, for its name, time and markers
+     * @param {string} format - 'doc' (HTML, converted to a Google Doc), 'md' or 'txt'
+     * @returns {object} { name, content, mimeType, asDoc }
+     */
+    function formatTranscript(recording, text, format) {
+        const baseName = (recording.fileName || `recording_${recording.id}`).replace(/\.[^.]+$/, '');
+        const recorded = new Date(recording.timestamp).toLocaleString();
+        const markers = (recording.markers || [])
+            .filter(marker => marker.type !== 'device')
+            .map(marker => `${formatTime(marker.time)} ${marker.label}`);
+        const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+        
+        if (format === 'md') {
+            const lines = [`# ${baseName}`, '', `Recorded ${recorded}`, ''];
+            if (markers.length) lines.push('## Markers', '', ...markers.map(m => `- ${m}`), '');
+            lines.push('## Transcript', '', paragraphs.join('\n\n'), '');
+            return { name: `${baseName}.md`, content: lines.join('\n'), mimeType: 'text/markdown', asDoc: false };
+        }
+        
+        if (format === 'txt') {
+            const lines = [baseName, `Recorded ${recorded}`, ''];
+            if (markers.length) lines.push('Markers:', ...markers, '');
+            lines.push(paragraphs.join('\n\n'), '');
+            return { name: `${baseName}.txt`, content: lines.join('\n'), mimeType: 'text/plain', asDoc: false };
+        }
+        
+        const html = [
+            `<h1>${escapeHtml(baseName)}</h1>`,
+            `<p>Recorded ${escapeHtml(recorded)}</p>`
+        ];
+        if (markers.length) {
+            html.push('<h2>Markers</h2>', `<ul>${markers.map(m => `<li>${escapeHtml(m)}</li>`).join('')}</ul>`);
         }
+        html.push('<h2>Transcript</h2>', ...paragraphs.map(p => `<p>${escapeHtml(p)}</p>`));
+        return {
+            name: `${baseName} transcript`,
+            content: `<!DOCTYPE html><html><body>${html.join('')}</body></html>`,
+            mimeType: 'text/html',
+            asDoc: true
+        };
+    }
+    
+    // Helper functions
+    
+    function formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+    }
+    
+    function escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
     }
     
     // Public API
     return {
         requestTranscription,
         saveTranscription,
-        startTranscriptionPipeline
+        startTranscriptionPipeline,
+        formatTranscript
     };
 })();
@@ -13,6 +13,9 @@ const UIService = (function() {
     // Visualiser
     let visualiserInterval = null;
     
+    // Upload progress by recording ID, kept across list re-renders
+    const uploadProgress = new Map();
+    
     /**
      * Initialise UI - cache DOM elements
      */
@@ -26,6 +29,7 @@ const UIService = (function() {
         elements.btnTestMic = document.getElementById('btn-test-mic');
         elements.micTestResult = document.getElementById('mic-test-result');
         elements.btnConnectDrive = document.getElementById('btn-connect-drive');
+        elements.btnLocalOnly = document.getElementById('btn-local-only');
         elements.driveStatus = document.getElementById('drive-status');
         elements.btnStartApp = document.getElementById('btn-start-app');
         
@@ -35,6 +39,10 @@ const UIService = (function() {
         elements.btnSettings = document.getElementById('btn-settings');
         elements.timer = document.getElementById('timer');
         elements.statusMessage = document.getElementById('status-message');
+        elements.armedIndicator = document.getElementById('armed-indicator');
+        elements.suspendWarning = document.getElementById('suspend-warning');
+        elements.reconnectBanner = document.getElementById('reconnect-banner');
+        elements.btnReconnectDrive = document.getElementById('btn-reconnect-drive');
         elements.visualiser = document.getElementById('visualiser');
         elements.btnRecord = document.getElementById('btn-record');
         elements.controlHint = document.getElementById('control-hint');
@@ -42,6 +50,7 @@ const UIService = (function() {
         elements.btnPause = document.getElementById('btn-pause');
         elements.btnStop = document.getElementById('btn-stop');
         elements.btnCancel = document.getElementById('btn-cancel');
+        elements.markerControls = document.getElementById('marker-controls');
         elements.recordingsPanel = document.getElementById('recordings-panel');
         elements.btnToggleRecordings = document.getElementById('btn-toggle-recordings');
         elements.recordingsList = document.getElementById('recordings-list');
@@ -52,19 +61,66 @@ const UIService = (function() {
         elements.settingsMic = document.getElementById('settings-mic');
         elements.settingsQuality = document.getElementById('settings-quality');
         elements.settingsAutosave = document.getElementById('settings-autosave');
+        elements.settingsVad = document.getElementById('settings-vad');
+        elements.settingsVadSilence = document.getElementById('settings-vad-silence');
+        elements.settingsPreroll = document.getElementById('settings-preroll');
+        elements.settingsSegment = document.getElementById('settings-segment');
+        elements.settingsBackground = document.getElementById('settings-background');
+        elements.settingsVoiceCommands = document.getElementById('settings-voice-commands');
+        elements.settingsVoiceCommandsHint = document.getElementById('settings-voice-commands-hint');
         elements.settingsDrivePath = document.getElementById('settings-drive-path');
+        elements.settingsFileName = document.getElementById('settings-file-name');
+        elements.settingsRecordingTitle = document.getElementById('settings-recording-title');
+        elements.settingsTemplatePreview = document.getElementById('settings-template-preview');
         elements.settingsTranscription = document.getElementById('settings-transcription');
+        elements.settingsTranscriptFormat = document.getElementById('settings-transcript-format');
         elements.settingsDriveInfo = document.getElementById('settings-drive-info');
         elements.btnDisconnectDrive = document.getElementById('btn-disconnect-drive');
+        elements.btnSettingsConnectDrive = document.getElementById('btn-settings-connect-drive');
+        elements.settingsDriveHint = document.getElementById('settings-drive-hint');
+        elements.settingsDriveFolder = document.getElementById('settings-drive-folder');
+        elements.btnDriveFolderChoose = document.getElementById('btn-drive-folder-choose');
+        elements.btnDriveFolderReset = document.getElementById('btn-drive-folder-reset');
+        elements.settingsDriveFolderHint = document.getElementById('settings-drive-folder-hint');
+        elements.settingsDestinations = document.getElementById('settings-destinations');
+        elements.settingsWebdavInfo = document.getElementById('settings-webdav-info');
+        elements.settingsWebdavUrl = document.getElementById('settings-webdav-url');
+        elements.settingsWebdavUsername = document.getElementById('settings-webdav-username');
+        elements.settingsWebdavPassword = document.getElementById('settings-webdav-password');
+        elements.btnWebdavSave = document.getElementById('btn-webdav-save');
+        elements.btnWebdavDisconnect = document.getElementById('btn-webdav-disconnect');
+        elements.settingsS3Info = document.getElementById('settings-s3-info');
+        elements.settingsS3Endpoint = document.getElementById('settings-s3-endpoint');
+        elements.settingsS3Region = document.getElementById('settings-s3-region');
+        elements.settingsS3Bucket = document.getElementById('settings-s3-bucket');
+        elements.settingsS3Prefix = document.getElementById('settings-s3-prefix');
+        elements.settingsS3AccessKey = document.getElementById('settings-s3-access-key');
+        elements.settingsS3SecretKey = document.getElementById('settings-s3-secret-key');
+        elements.btnS3Save = document.getElementById('btn-s3-save');
+        elements.btnS3Disconnect = document.getElementById('btn-s3-disconnect');
+        elements.settingsLocalFolderGroup = document.getElementById('settings-local-folder-group');
+        elements.settingsLocalFolderInfo = document.getElementById('settings-local-folder-info');
+        elements.btnLocalFolderChoose = document.getElementById('btn-local-folder-choose');
+        elements.btnLocalFolderAllow = document.getElementById('btn-local-folder-allow');
+        elements.btnLocalFolderDisconnect = document.getElementById('btn-local-folder-disconnect');
+        elements.btnExportRecordings = document.getElementById('btn-export-recordings');
         elements.storageInfo = document.getElementById('storage-info');
         elements.btnClearSynced = document.getElementById('btn-clear-synced');
         
+        // Recovery modal
+        elements.recoveryModal = document.getElementById('recovery-modal');
+        elements.recoveryDetails = document.getElementById('recovery-details');
+        elements.btnRecoveryResume = document.getElementById('btn-recovery-resume');
+        elements.btnRecoverySave = document.getElementById('btn-recovery-save');
+        elements.btnRecoveryDiscard = document.getElementById('btn-recovery-discard');
+        
         // Toast container
         elements.toastContainer = document.getElementById('toast-container');
         
         // Transcription Modal
         elements.transcriptionModal = document.getElementById('transcription-modal');
         elements.transcriptionText = document.getElementById('transcription-text');
+        elements.transcriptionMarkers = document.getElementById('transcription-markers');
         elements.btnCloseTranscription = document.getElementById('btn-close-transcription');
         
         // Get visualiser bars
@@ -156,24 +212,45 @@ const UIService = (function() {
     
     /**
      * Update sync status indicator
+     * @param {string} status - syncing, pending, failed, error, disconnected or synced
+     * @param {number} [itemCount] - Recordings in that state
      */
-    function updateSyncStatus(pendingCount, syncing = false) {
+    function setSyncStatus(status, itemCount = 0) {
         const indicator = elements.syncStatus;
         const count = indicator.querySelector('.count');
         const label = indicator.querySelector('.label');
         
-        if (syncing) {
-            count.textContent = '↻';
-            label.textContent = 'syncing...';
-            indicator.classList.add('has-pending');
-        } else if (pendingCount > 0) {
-            count.textContent = pendingCount;
-            label.textContent = 'pending';
-            indicator.classList.add('has-pending');
-        } else {
-            count.textContent = '✓';
-            label.textContent = 'synced';
-            indicator.classList.remove('has-pending');
+        indicator.classList.toggle('has-pending', status === 'syncing' || status === 'pending');
+        indicator.classList.toggle('has-failed', status === 'failed' || status === 'error');
+        
+        switch (status) {
+            case 'syncing':
+                count.textContent = '↻';
+                label.textContent = 'syncing...';
+                break;
+            case 'pending':
+                count.textContent = itemCount;
+                label.textContent = 'pending';
+                break;
+            case 'failed':
+                count.textContent = itemCount;
+                label.textContent = 'failed';
+                break;
+            case 'error':
+                count.textContent = '!';
+                label.textContent = 'sync error';
+                break;
+            case 'disconnected':
+                count.textContent = '–';
+                label.textContent = 'not connected';
+                break;
+            case 'local':
+                count.textContent = itemCount;
+                label.textContent = 'on device';
+                break;
+            default:
+                count.textContent = '✓';
+                label.textContent = 'synced';
         }
     }
     
@@ -257,7 +334,9 @@ const UIService = (function() {
         
         switch (state) {
             case 'idle':
+            case 'inactive':
                 elements.secondaryControls.classList.add('hidden');
+                elements.markerControls.classList.add('hidden');
                 elements.controlHint.style.display = '';
                 elements.controlHint.textContent = 'Tap to start recording';
                 resetVisualiser();
@@ -270,6 +349,7 @@ const UIService = (function() {
                 recordingArea.classList.add('recording');
                 mainScreen.classList.add('recording');
                 elements.secondaryControls.classList.remove('hidden');
+                elements.markerControls.classList.remove('hidden');
                 elements.controlHint.style.display = 'none';
                 elements.btnPause.classList.remove('paused');
                 elements.btnPause.querySelector('span').textContent = 'Pause';
@@ -280,6 +360,7 @@ const UIService = (function() {
                 recordingArea.classList.add('paused');
                 mainScreen.classList.add('paused');
                 elements.secondaryControls.classList.remove('hidden');
+                elements.markerControls.classList.remove('hidden');
                 elements.controlHint.style.display = 'none';
                 elements.btnPause.classList.add('paused');
                 elements.btnPause.querySelector('span').textContent = 'Resume';
@@ -289,14 +370,53 @@ const UIService = (function() {
         }
     }
     
+    /**
+     * Show whether the mic is armed for pre-roll
+     */
+    function setArmed(armed, seconds = 0) {
+        elements.armedIndicator.classList.toggle('hidden', !armed);
+        elements.armedIndicator.querySelector('.label').textContent =
+            `Mic armed · keeping last ${seconds}s`;
+    }
+    
+    /**
+     * Warn that the page may be suspended mid-recording (null hides it)
+     */
+    function setSuspendWarning(message) {
+        elements.suspendWarning.classList.toggle('hidden', !message);
+        elements.suspendWarning.querySelector('.label').textContent = message || '';
+    }
+    
+    /**
+     * Offer to reconnect Drive without interrupting (false hides it)
+     */
+    function setReconnectBanner(show) {
+        elements.reconnectBanner.classList.toggle('hidden', !show);
+    }
+    
+    /**
+     * Show an example of where recordings will be saved, or why the
+     * folder and file name templates cannot be used
+     */
+    function setTemplatePreview(text, isError) {
+        elements.settingsTemplatePreview.textContent = isError ? text : `Example: ${text}`;
+        elements.settingsTemplatePreview.classList.toggle('error', isError);
+        elements.settingsDrivePath.setAttribute('aria-invalid', isError);
+        elements.settingsFileName.setAttribute('aria-invalid', isError);
+    }
+    
     /**
      * Update recordings list
+     * @param {object[]} [targets] - Enabled destinations { id, name }; with more
+     *     than one, each gets its own status chip
+     * @param {object[]} [driveOnly] - Recordings found only in Drive (see ReconcileService)
      */
-    function updateRecordingsList(recordings) {
+    function updateRecordingsList(recordings, targets = [], driveOnly = []) {
         const list = elements.recordingsList;
+        const showLocation = targets.some(target => target.id === 'drive');
         list.innerHTML = '';
         
-        if (recordings.length === 0) {
+        if (recordings.length === 0 && driveOnly.length === 0) {
             list.innerHTML = '<p class="empty-message">No recordings yet</p>';
             return;
         }
@@ -304,10 +424,14 @@ const UIService = (function() {
         recordings.slice(0, 20).forEach(recording => {
             const item = document.createElement('div');
             item.className = 'recording-item';
+            item.dataset.id = recording.id;
             
             const date = new Date(recording.timestamp);
             const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
             const duration = formatDuration(recording.duration);
+            const skippedTitle = recording.skippedDuration
+                ? ` title="${formatDuration(Math.round(recording.skippedDuration))} of silence skipped"`
+                : '';
             
 	            let statusClass, statusText, transcriptionStatusText = '';
 	            
@@ -319,17 +443,21 @@ const UIService = (function() {
 	                    break;
 	                case 'uploading':
 	                    statusClass = 'uploading';
-	                    statusText = '↻ Uploading';
+	                    statusText = formatUploadStatus(uploadProgress.get(recording.id));
 	                    break;
 	                case 'failed':
-	                    statusClass = 'pending';
+	                    statusClass = 'failed';
 	                    statusText = '! Failed';
 	                    break;
 	                default:
 	                    statusClass = 'pending';
-	                    statusText = '○ Pending';
+	                    statusText = recording.retryCount ? `○ Retry ${recording.retryCount}/${CONFIG.MAX_RETRY_COUNT}` : '○ Pending';
 	            }
 	            
+	            const errorTitle = recording.lastError ? ` title="${escapeHtml(recording.lastError)}"` : '';
+	            const mirror = recording.sync?.supabase;
+	            const mirrorFailed = mirror?.status === 'failed';
+	            
 	            // Determine transcription status
 	            if (recording.transcription_status) {
 	                switch (recording.transcription_status) {
@@ -348,15 +476,126 @@ const UIService = (function() {
 	            
 	            item.innerHTML = `
 	                <span class="time">${time}</span>
-	                <span class="duration">${duration}</span>
-	                <span class="status ${statusClass}">${statusText}</span>
+	                <span class="duration"${skippedTitle}>${duration}</span>
+	                ${recording.part ? `<span class="part">Part ${recording.part}</span>` : ''}
+	                <span class="status ${statusClass}"${errorTitle}>${statusText}</span>
+	                ${targets.length > 1 ? targets.map(target => createDestinationStatus(target, recording.sync?.[target.id])).join('') : ''}
+	                ${mirror ? createMirrorStatus(mirror) : ''}
+	                ${showLocation ? createLocation(recording.sync?.drive) : ''}
+	                <button class="btn-export" data-id="${recording.id}" aria-label="Export recording" title="${recording.sync?.export ? 'Exported - export again' : 'Export'}">⤓</button>
+	                ${recording.status === 'failed' || mirrorFailed ? `<button class="btn-retry btn-secondary btn-small" data-id="${recording.id}">Retry</button>` : ''}
 	                <span class="transcription-status">${transcriptionStatusText}</span>
 	            `;
+	            
+	            if (recording.markers?.length) {
+	                const markerList = document.createElement('div');
+	                markerList.className = 'markers';
+	                recording.markers.forEach(marker => markerList.appendChild(createMarkerElement(marker, 'span')));
+	                item.appendChild(markerList);
+	            }
+            
+            list.appendChild(item);
+        });
+        
+        if (driveOnly.length > 0) {
+            const heading = document.createElement('p');
+            heading.className = 'recordings-heading';
+            heading.textContent = 'Only in Google Drive';
+            list.appendChild(heading);
+        }
+        
+        driveOnly.slice(0, 20).forEach(file => {
+            const item = document.createElement('div');
+            item.className = 'recording-item drive-only';
             
+            const date = new Date(file.recordedAt);
+            const when = date.toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+            
+            item.innerHTML = `
+                <span class="time" title="${escapeHtml(file.name)}">${when}</span>
+                <span class="duration">${file.duration !== null ? formatDuration(file.duration) : ''}</span>
+                <span class="location drive" title="${escapeHtml(file.path)}">Drive only</span>
+                ${file.webViewLink ? `<a class="btn-open-drive" href="${escapeHtml(file.webViewLink)}" target="_blank" rel="noopener">Open</a>` : ''}
+            `;
             list.appendChild(item);
         });
     }
     
+    /**
+     * Show upload progress for a recording (null clears it)
+     */
+    function setUploadProgress(id, percent) {
+        if (percent === null) {
+            uploadProgress.delete(id);
+            return;
+        }
+        uploadProgress.set(id, percent);
+        
+        const status = elements.recordingsList.querySelector(`.recording-item[data-id="${id}"] .status`);
+        if (status) {
+            status.className = 'status uploading';
+            status.textContent = formatUploadStatus(percent);
+        }
+    }
+    
+    /**
+     * Supabase backup state, shown separately from the Drive status
+     */
+    function createMirrorStatus(mirror) {
+        const labels = {
+            synced: 'Backed up',
+            failed: 'Backup failed',
+            uploading: 'Backing up'
+        };
+        const title = mirror.lastError ? ` title="${escapeHtml(mirror.lastError)}"` : ' title="Supabase backup"';
+        return `<span class="mirror-status ${mirror.status}"${title}>☁ ${labels[mirror.status] || 'Backup pending'}</span>`;
+    }
+    
+    /**
+     * One destination's state, when a recording goes to several
+     */
+    function createDestinationStatus(target, state = { status: 'pending' }) {
+        const icons = { synced: '✓', failed: '!', uploading: '↻' };
+        const title = escapeHtml(state.lastError ? `${target.name}: ${state.lastError}` : target.name);
+        return `<span class="destination-status ${state.status}" title="${title}">${icons[state.status] || '○'} ${escapeHtml(target.name)}</span>`;
+    }
+    
+    /**
+     * Where a recording is kept: on this device only, or here and in Drive
+     * (noting if it was moved there)
+     */
+    function createLocation(state = { status: 'pending' }) {
+        if (state.status !== 'synced') {
+            const title = state.missing ? ' title="Deleted from Google Drive - tap Retry to upload it again"' : '';
+            return `<span class="location local"${title}>Device only</span>`;
+        }
+        if (state.moved) {
+            const where = state.remotePath ? `Moved in Drive to ${state.remotePath}` : 'Moved in Drive, outside the recordings folder';
+            return `<span class="location moved" title="${escapeHtml(where)}">Device + Drive (moved)</span>`;
+        }
+        return '<span class="location both">Device + Drive</span>';
+    }
+    
+    function formatUploadStatus(percent) {
+        return percent === undefined ? '↻ Uploading' : `↻ Uploading ${percent}%`;
+    }
+    
+    /**
+     * Save a blob through the browser's download prompt
+     */
+    function downloadFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the download a moment to start before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+    
     /**
      * Toggle recordings panel
      */
@@ -370,6 +609,7 @@ const UIService = (function() {
         
         list.hidden = !show;
         btn.setAttribute('aria-expanded', show);
+        return show;
     }
     
     /**
@@ -384,10 +624,32 @@ const UIService = (function() {
     }
     
     /**
-     * Show/hide transcription modal
+     * Populate the marker buttons shown while recording
+     */
+    function renderMarkerButtons(labels) {
+        const container = elements.markerControls;
+        container.innerHTML = '';
+        
+        labels.forEach(label => {
+            const button = document.createElement('button');
+            button.className = 'btn-marker';
+            button.dataset.label = label;
+            button.textContent = `⚑ ${label}`;
+            button.setAttribute('aria-label', `Add ${label} marker`);
+            container.appendChild(button);
+        });
+    }
+    
+    /**
+     * Show/hide transcription modal, listing the recording's markers above the text
      */
-    function showTranscription(text) {
+    function showTranscription(text, markers = []) {
         if (text) {
+            const markerList = elements.transcriptionMarkers;
+            markerList.innerHTML = '';
+            markers.forEach(marker => markerList.appendChild(createMarkerElement(marker, 'li')));
+            markerList.hidden = markers.length === 0;
+            
             elements.transcriptionText.textContent = text;
             elements.transcriptionModal.classList.remove('hidden');
         } else {
@@ -395,6 +657,35 @@ const UIService = (function() {
         }
     }
     
+    /**
+     * Ask what to do with a recording left behind by a crash.
+     * Resolves with 'resume', 'save' or 'discard'.
+     */
+    function showRecoveryPrompt(recoveryData, { canResume = true } = {}) {
+        const date = new Date(recoveryData.startTime);
+        const when = date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+        
+        elements.recoveryDetails.textContent =
+            `A recording from ${when} (${formatDuration(recoveryData.elapsed)}, ${formatBytes(recoveryData.size)}) ` +
+            'was interrupted before it was saved.';
+        elements.btnRecoveryResume.hidden = !canResume;
+        elements.recoveryModal.classList.remove('hidden');
+        
+        return new Promise(resolve => {
+            const choose = (choice) => () => {
+                elements.btnRecoveryResume.onclick = null;
+                elements.btnRecoverySave.onclick = null;
+                elements.btnRecoveryDiscard.onclick = null;
+                elements.recoveryModal.classList.add('hidden');
+                resolve(choice);
+            };
+            
+            elements.btnRecoveryResume.onclick = choose('resume');
+            elements.btnRecoverySave.onclick = choose('save');
+            elements.btnRecoveryDiscard.onclick = choose('discard');
+        });
+    }
+    
     /**
      * Update settings modal with current values
      */
@@ -411,18 +702,119 @@ const UIService = (function() {
             elements.settingsAutosave.checked = settings.autosave;
         }
         
-        if (settings.drivePath !== undefined) {
-            elements.settingsDrivePath.value = settings.drivePath;
+        if (settings.vad !== undefined) {
+            elements.settingsVad.checked = settings.vad;
+            elements.settingsVadSilence.disabled = !settings.vad;
+        }
+        
+        if (settings.vadSilenceMs) {
+            elements.settingsVadSilence.value = settings.vadSilenceMs;
+        }
+        
+        if (settings.prerollSeconds !== undefined) {
+            elements.settingsPreroll.value = settings.prerollSeconds;
+        }
+        
+        if (settings.segmentMode !== undefined) {
+            elements.settingsSegment.value = settings.segmentMode;
+        }
+        
+        if (settings.backgroundPolicy) {
+            elements.settingsBackground.value = settings.backgroundPolicy;
+        }
+        
+        if (settings.voiceCommands !== undefined) {
+            elements.settingsVoiceCommands.checked = settings.voiceCommands;
+        }
+        
+        if (settings.voiceCommandsSupported === false) {
+            elements.settingsVoiceCommands.disabled = true;
+            elements.settingsVoiceCommandsHint.textContent = 'Speech recognition is not available in this browser';
+        }
+        
+        if (settings.templates) {
+            elements.settingsDrivePath.value = settings.templates.path;
+            elements.settingsFileName.value = settings.templates.fileName;
+        }
+        
+        if (settings.recordingTitle !== undefined) {
+            elements.settingsRecordingTitle.value = settings.recordingTitle;
         }
         
         if (settings.transcription !== undefined) {
             elements.settingsTranscription.checked = settings.transcription;
         }
         
+        if (settings.transcriptFormat) {
+            elements.settingsTranscriptFormat.value = settings.transcriptFormat;
+        }
+        
         if (settings.driveUser) {
             elements.settingsDriveInfo.textContent = `Connected as ${settings.driveUser.email}`;
         } else {
-            elements.settingsDriveInfo.textContent = 'Not connected';
+            elements.settingsDriveInfo.textContent = settings.localOnly ? 'Not connected - local only' : 'Not connected';
+        }
+        elements.btnDisconnectDrive.hidden = !settings.driveUser;
+        elements.btnSettingsConnectDrive.hidden = !!settings.driveUser;
+        elements.settingsDriveHint.hidden = !!settings.driveUser;
+        
+        // The folder can only be chosen while connected
+        const folder = settings.driveFolder;
+        elements.settingsDriveFolder.textContent = folder
+            ? `Saving to ${folder.name}${folder.driveId ? ' (Shared Drive)' : ''}`
+            : 'Saving to My Drive';
+        elements.settingsDriveFolder.hidden = !settings.driveUser;
+        elements.btnDriveFolderChoose.hidden = !settings.driveUser;
+        elements.btnDriveFolderReset.hidden = !settings.driveUser || !folder;
+        elements.settingsDriveFolderHint.hidden = !settings.driveUser;
+        
+        if (settings.destinations) {
+            elements.settingsDestinations.innerHTML = settings.destinations.map(destination => `
+                <label>
+                    <input type="checkbox" data-destination="${destination.id}"${destination.enabled ? ' checked' : ''}>
+                    ${escapeHtml(destination.name)}${destination.enabled && !destination.connected ? ' (not connected)' : ''}
+                </label>
+            `).join('');
+        }
+        
+        if (settings.webdav !== undefined) {
+            elements.settingsWebdavInfo.textContent = settings.webdav
+                ? `Connected as ${settings.webdav.username || 'anonymous'}`
+                : 'Not connected';
+            elements.settingsWebdavUrl.value = settings.webdav?.url || '';
+            elements.settingsWebdavUsername.value = settings.webdav?.username || '';
+            elements.settingsWebdavPassword.value = '';
+            elements.settingsWebdavPassword.placeholder = settings.webdav ? 'Saved - enter a new one to change it' : 'App password';
+            elements.btnWebdavDisconnect.hidden = !settings.webdav;
+        }
+        
+        if (settings.s3 !== undefined) {
+            elements.settingsS3Info.textContent = settings.s3 ? `Connected to ${settings.s3.bucket}` : 'Not connected';
+            elements.settingsS3Endpoint.value = settings.s3?.endpoint || '';
+            elements.settingsS3Region.value = settings.s3?.region || '';
+            elements.settingsS3Bucket.value = settings.s3?.bucket || '';
+            elements.settingsS3Prefix.value = settings.s3?.prefix || '';
+            elements.settingsS3AccessKey.value = settings.s3?.accessKeyId || '';
+            elements.settingsS3SecretKey.value = '';
+            elements.settingsS3SecretKey.placeholder = settings.s3 ? 'Saved - enter a new one to change it' : 'Secret access key';
+            elements.btnS3Disconnect.hidden = !settings.s3;
+        }
+        
+        if (settings.localFolder !== undefined) {
+            // Only desktop Chromium can write to a chosen folder
+            elements.settingsLocalFolderGroup.hidden = !settings.localFolder;
+            
+            const folder = settings.localFolder;
+            if (folder?.name) {
+                elements.settingsLocalFolderInfo.textContent = folder.needsPermission
+                    ? `${folder.name} - access needs to be allowed again`
+                    : `Saving to ${folder.name}`;
+            } else {
+                elements.settingsLocalFolderInfo.textContent = 'No folder chosen';
+            }
+            elements.btnLocalFolderChoose.textContent = folder?.name ? 'Choose Another Folder' : 'Choose Folder';
+            elements.btnLocalFolderAllow.hidden = !folder?.needsPermission;
+            elements.btnLocalFolderDisconnect.hidden = !folder?.name;
         }
         
         if (settings.storage) {
@@ -460,6 +852,18 @@ const UIService = (function() {
     
     // Helper functions
     
+    function createMarkerElement(marker, tagName) {
+        const el = document.createElement(tagName);
+        el.className = 'marker';
+        
+        const time = document.createElement('span');
+        time.className = 'marker-time';
+        time.textContent = formatDuration(marker.time);
+        
+        el.append('⚑ ', time, ` ${marker.label}`);
+        return el;
+    }
+    
     function formatDuration(seconds) {
         if (!seconds) return '0:00';
         
@@ -475,6 +879,12 @@ const UIService = (function() {
         return `${mins}:${secs.toString().padStart(2, '0')}`;
     }
     
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+    
     function formatBytes(bytes) {
         if (!bytes) return '0 B';
         
@@ -493,7 +903,7 @@ const UIService = (function() {
         showDriveStatus,
         enableStartApp,
         updateConnectionStatus,
-        updateSyncStatus,
+        setSyncStatus,
         updateTimer,
         startTimer,
         stopTimer,
@@ -501,9 +911,18 @@ const UIService = (function() {
         updateVisualiser,
         resetVisualiser,
         setRecordingState,
+        setArmed,
+        setSuspendWarning,
+        setReconnectBanner,
+        setTemplatePreview,
+        setUploadProgress,
+        downloadFile,
         updateRecordingsList,
         toggleRecordingsPanel,
+        renderMarkerButtons,
+        showTranscription,
         showSettings,
+        showRecoveryPrompt,
         updateSettings,
         toast,
         confirm,
@@ -0,0 +1,248 @@
+/**
+ * Voice to Drive - WebDAV Service
+ * Uploads recordings to a WebDAV server such as Nextcloud or ownCloud, using
+ * the same folder layout as Drive (see TemplateService)
+ * Signs in with basic auth; on Nextcloud use an app password
+ * (Settings > Security > Devices & sessions) rather than the account password.
+ * The password is saved in plain text in settings, since background sync in
+ * the service worker has to be able to use it; the setup UI says so.
+ * Registers itself as the 'webdav' sync destination (see DestinationService)
+ */
+
+const WebDAVService = (function() {
+    // State
+    let server = null; // { url, username, password }
+    
+    // Folders already known to exist
+    const folderCache = new Set();
+    
+    /**
+     * Load the saved server details. Returns false if there are none.
+     */
+    async function restoreSession() {
+        server = await StorageService.getSetting('webdav', null);
+        return !!server;
+    }
+    
+    /**
+     * Check and save the server details. The folder URL is the WebDAV root to
+     * upload into, e.g. https://cloud.example.com/remote.php/dav/files/alice/
+     * An empty password keeps the saved one.
+     */
+    async function configure({ url, username, password }) {
+        const candidate = {
+            url: (url || '').trim().replace(/\/+$/, ''),
+            username: (username || '').trim(),
+            password: password || server?.password || ''
+        };
+        
+        if (!/^https?:\/\//.test(candidate.url)) {
+            throw new Error('Enter the WebDAV folder URL, starting with https://');
+        }
+        
+        // Nothing is saved until the server accepts the credentials
+        await propfind(candidate.url, candidate);
+        
+        server = candidate;
+        folderCache.clear();
+        await StorageService.setSetting('webdav', server);
+        
+        console.log('WebDAV server configured:', server.url);
+        return true;
+    }
+    
+    /**
+     * Forget the server details
+     */
+    async function signOut() {
+        server = null;
+        folderCache.clear();
+        await StorageService.setSetting('webdav', null);
+    }
+    
+    /**
+     * Check the saved server is still reachable with the saved credentials
+     */
+    async function authenticate() {
+        if (!server && !await restoreSession()) {
+            throw new Error('Enter the WebDAV server details in settings first');
+        }
+        
+        await propfind(server.url);
+        return true;
+    }
+    
+    function isAuthenticated() {
+        return !!server;
+    }
+    
+    /**
+     * Get the server details, without the password
+     */
+    function getServer() {
+        return server ? { url: server.url, username: server.username } : null;
+    }
+    
+    /**
+     * Ensure folder path exists, creating collections as needed (MKCOL only
+     * creates one level at a time)
+     */
+    async function ensureFolder(path) {
+        const parts = (path || '').split('/').filter(p => p && p.trim() !== '');
+        let currentPath = '';
+        
+        for (const folderName of parts) {
+            currentPath += '/' + encodeURIComponent(folderName);
+            
+            if (folderCache.has(currentPath)) continue;
+            
+            const response = await request('MKCOL', currentPath);
+            
+            // 405: the collection already exists
+            if (!response.ok && response.status !== 405) {
+                const error = new Error(`Failed to create folder ${folderName}`);
+                error.status = response.status;
+                throw error;
+            }
+            
+            folderCache.add(currentPath);
+        }
+        
+        return currentPath;
+    }
+    
+    /**
+     * Forget that a folder and its parents exist, so the next ensureFolder
+     * creates them again
+     */
+    function forgetFolder(path) {
+        let currentPath = '';
+        for (const folderName of (path || '').split('/').filter(p => p && p.trim() !== '')) {
+            currentPath += '/' + encodeURIComponent(folderName);
+            folderCache.delete(currentPath);
+        }
+    }
+    
+    /**
+     * Upload a recording with a single PUT. Returns its path under the server URL.
+     */
+    async function upload(recording, { folder = null, onProgress = null, isFolderRetry = false } = {}) {
+        const fileName = recording.fileName || `recording_${recording.id}.webm`;
+        const folderPath = TemplateService.getRecordingPath(recording);
+        const filePath = `${folder ?? await ensureFolder(folderPath)}/${encodeURIComponent(fileName)}`;
+        const total = recording.blob.size;
+        
+        if (onProgress) onProgress({ loaded: 0, total, percent: 0 });
+        
+        const response = await request('PUT', filePath, {
+            headers: { 'Content-Type': recording.blob.type || 'audio/webm' },
+            body: recording.blob
+        });
+        
+        // 404/409: the folder was deleted on the server - create it again and retry once
+        if ((response.status === 404 || response.status === 409) && !isFolderRetry) {
+            forgetFolder(folderPath);
+            return upload(recording, { onProgress, isFolderRetry: true });
+        }
+        
+        if (!response.ok) {
+            const error = new Error(`Upload failed: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        if (onProgress) onProgress({ loaded: total, total, percent: 100 });
+        
+        console.log('File uploaded to WebDAV:', filePath);
+        return { remoteId: filePath, fileName, folderPath };
+    }
+    
+    /**
+     * Check the uploaded file is there and the right size
+     */
+    async function verify(recording, result) {
+        const body = await propfind(server.url + result.remoteId);
+        const size = body.match(/<(?:[\w-]+:)?getcontentlength[^>]*>\s*(\d+)\s*</i);
+        return !!size && Number(size[1]) === recording.blob.size;
+    }
+    
+    /**
+     * Delete a file (already gone counts as deleted)
+     */
+    async function deleteFile(filePath) {
+        const response = await request('DELETE', filePath);
+        
+        if (!response.ok && response.status !== 404) {
+            const error = new Error('Failed to delete file');
+            error.status = response.status;
+            throw error;
+        }
+    }
+    
+    // Helper functions
+    
+    async function request(method, path, options = {}) {
+        if (!server) {
+            throw new Error('WebDAV server not configured');
+        }
+        
+        return fetch(server.url + path, {
+            ...options,
+            method,
+            headers: { ...options.headers, Authorization: authHeader(server) }
+        });
+    }
+    
+    /**
+     * PROPFIND with Depth 0 (just the resource itself). Returns the
+     * multistatus XML; DOMParser is not available in the service worker.
+     */
+    async function propfind(url, credentials = server) {
+        const response = await fetch(url, {
+            method: 'PROPFIND',
+            headers: {
+                Authorization: authHeader(credentials),
+                Depth: '0',
+                'Content-Type': 'application/xml'
+            },
+            body: '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:getcontentlength/><d:resourcetype/></d:prop></d:propfind>'
+        });
+        
+        if (response.status === 401) {
+            const error = new Error('WebDAV server rejected the username or password');
+            error.status = response.status;
+            throw error;
+        }
+        if (!response.ok) {
+            const error = new Error(`WebDAV request failed: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        return response.text();
+    }
+    
+    function authHeader({ username, password }) {
+        // btoa only takes Latin-1, so encode as UTF-8 first
+        const bytes = new TextEncoder().encode(`${username}:${password}`);
+        return 'Basic ' + btoa(String.fromCharCode(...bytes));
+    }
+    
+    // Public API
+    return {
+        id: 'webdav',
+        name: 'WebDAV',
+        restoreSession,
+        configure,
+        signOut,
+        authenticate,
+        isAuthenticated,
+        getServer,
+        ensureFolder,
+        upload,
+        verify,
+        delete: deleteFile
+    };
+})();
+
+DestinationService.register(WebDAVService);
@@ -3,15 +3,30 @@
  * Handles offline caching and background sync
  */
 
-const CACHE_NAME = 'voice-to-drive-v1';
+// The same settings, queue, destinations and retry logic as the page
+importScripts('/js/config.js', '/js/templates.js', '/js/storage.js', '/js/checksum.js', '/js/destinations.js', '/js/drive.js', '/js/webdav.js', '/js/s3.js', '/js/localfolder.js', '/js/sync.js');
+
+const CACHE_NAME = 'voice-to-drive-v11';
 const STATIC_ASSETS = [
     '/',
     '/index.html',
     '/manifest.json',
     '/css/styles.css',
+    '/js/config.js',
+    '/js/templates.js',
     '/js/storage.js',
     '/js/recorder.js',
+    '/js/checksum.js',
+    '/js/destinations.js',
     '/js/drive.js',
+    '/js/webdav.js',
+    '/js/s3.js',
+    '/js/localfolder.js',
+    '/js/sync.js',
+    '/js/reconcile.js',
+    '/js/commands.js',
+    '/js/media.js',
+    '/js/keepalive.js',
     '/js/ui.js',
     '/js/app.js',
     '/icons/icon.svg',
@@ -160,6 +175,16 @@ function shouldCache(request) {
 self.addEventListener('sync', (event) => {
     if (event.tag === 'upload-recordings') {
         console.log('[SW] Background sync: upload-recordings');
+        event.waitUntil(syncRecordings({ rejectIfIncomplete: true }));
+    }
+});
+
+/**
+ * Periodic background sync - picks up anything a one-off sync missed
+ */
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'upload-recordings') {
+        console.log('[SW] Periodic sync: upload-recordings');
         event.waitUntil(syncRecordings());
     }
 });
@@ -220,12 +245,50 @@ self.addEventListener('message', (event) => {
 });
 
 /**
- * Sync recordings (placeholder - actual sync happens in main app)
+ * Upload the IndexedDB queue to each enabled destination using the
+ * credentials the page stored.
+ * Open pages are sent progress messages so their list stays current.
+ * @param {boolean} rejectIfIncomplete - Reject when items are left to retry,
+ *     so the browser schedules another one-off sync
  */
-async function syncRecordings() {
-    // This would be implemented if we use background sync
-    // For now, sync happens in the main app when online
-    console.log('[SW] Sync recordings triggered');
+async function syncRecordings({ rejectIfIncomplete = false } = {}) {
+    await StorageService.init();
+    await DestinationService.load();
+    
+    // Tokens can only be refreshed from a page; an expired one waits for the app to open
+    for (const destination of DestinationService.getEnabled()) {
+        if (destination.restoreSession && !await destination.restoreSession()) {
+            console.log(`[SW] No valid ${destination.name} credentials, leaving its uploads for the app`);
+        }
+    }
+    
+    SyncService.setCallbacks({
+        onItemSynced: (recording) => notifyClients({ type: 'SYNC_ITEM', id: recording.id, status: 'synced' }),
+        onItemError: (recording, error, failed) => notifyClients({
+            type: 'SYNC_ITEM',
+            id: recording.id,
+            status: failed ? 'failed' : 'pending'
+        })
+    });
+    
+    const results = await SyncService.syncDestinations((id, progress) =>
+        notifyClients({ type: 'SYNC_PROGRESS', id, percent: progress ? progress.percent : null }));
+    
+    // Destinations missing here had nothing due, or the page is already uploading to them
+    const summaries = Object.values(results).filter(Boolean);
+    if (summaries.length === 0) return;
+    
+    const retrying = summaries.reduce((sum, summary) => sum + summary.retrying, 0);
+    notifyClients({ type: 'SYNC_COMPLETE', results });
+    
+    if (rejectIfIncomplete && retrying > 0) {
+        throw new Error(`${retrying} uploads to retry`);
+    }
+}
+
+async function notifyClients(message) {
+    const clientList = await self.clients.matchAll({ type: 'window' });
+    clientList.forEach(client => client.postMessage(message));
 }
 
 console.log('[SW] Service Worker loaded');
@@ -0,0 +1,165 @@
+/**
+ * Voice commands, fed transcripts as the recogniser would deliver them:
+ * every phrase in the vocabulary runs its handler, and anything else is ignored
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load');
+
+function setup({ recorderState = 'inactive' } = {}) {
+    const spoken = [];
+    const { VoiceCommandService } = loadScripts(['commands.js'], {
+        window: { speechSynthesis: { speak: (utterance) => spoken.push(utterance.text) } },
+        SpeechSynthesisUtterance: function(text) {
+            this.text = text;
+        },
+        RecorderService: { getState: () => recorderState }
+    });
+    
+    const ran = [];
+    const handlers = {};
+    for (const name of Object.keys(VoiceCommandService.COMMANDS)) {
+        handlers[name] = () => {
+            ran.push(name);
+        };
+    }
+    
+    const commands = [];
+    const errors = [];
+    VoiceCommandService.setCallbacks({
+        onCommand: (name) => commands.push(name),
+        onError: (error) => errors.push(error)
+    });
+    
+    /**
+     * Deliver each transcript once the previous command has finished, as the
+     * recogniser does with utterances spoken one after another
+     */
+    async function replay(transcripts, commandHandlers = handlers) {
+        VoiceCommandService.start(commandHandlers, { start() {}, stop() {} });
+        for (const transcript of transcripts) {
+            await VoiceCommandService.handleTranscript(transcript);
+        }
+        VoiceCommandService.stop();
+    }
+    
+    return { VoiceCommandService, handlers, ran, commands, errors, spoken, replay };
+}
+
+test('every phrase in the vocabulary runs its command', async () => {
+    const { VoiceCommandService, ran, commands, errors, replay } = setup();
+    const expected = [];
+    const utterances = [];
+    for (const [name, command] of Object.entries(VoiceCommandService.COMMANDS)) {
+        for (const phrase of command.phrases) {
+            utterances.push(phrase);
+            expected.push(name);
+        }
+    }
+    
+    await replay(utterances);
+    
+    assert.deepStrictEqual(ran, expected);
+    assert.deepStrictEqual(commands, expected);
+    assert.deepStrictEqual(errors, []);
+});
+
+test('case, punctuation and spacing from the recogniser are ignored', async () => {
+    const { ran, replay } = setup();
+    
+    await replay(['Stop and save.', '  PAUSE  recording ', 'Mark that!']);
+    
+    assert.deepStrictEqual(ran, ['stop', 'pause', 'mark']);
+});
+
+test('dictation that only contains a command phrase does nothing', async () => {
+    const { ran, commands, replay } = setup();
+    
+    await replay([
+        "I'll stop and save it later",
+        'we should start recording the meeting',
+        'pause for a moment',
+        'resume',
+        ''
+    ]);
+    
+    assert.deepStrictEqual(ran, ['resume']);
+    assert.deepStrictEqual(commands, ['resume']);
+});
+
+test('commands without a handler, or whose handler declines, are not confirmed', async () => {
+    const { ran, commands, spoken, replay } = setup();
+    
+    await replay(['start recording', 'pause', 'mark that'], {
+        start: () => false,
+        mark: () => {
+            ran.push('mark');
+        }
+    });
+    
+    assert.deepStrictEqual(ran, ['mark']);
+    assert.deepStrictEqual(commands, ['mark']);
+    assert.deepStrictEqual(spoken, ['Marked']);
+});
+
+test('confirmations are spoken when not recording', async () => {
+    const { spoken, replay } = setup({ recorderState: 'paused' });
+    
+    await replay(['resume recording', 'stop recording']);
+    
+    assert.deepStrictEqual(spoken, ['Resumed', 'Saved']);
+});
+
+test('a failing command is reported and later ones still run', async () => {
+    const { handlers, ran, commands, errors, replay } = setup();
+    
+    await replay(['start recording', 'mark that'], {
+        ...handlers,
+        start: async () => {
+            throw new Error('Microphone not ready');
+        }
+    });
+    
+    assert.deepStrictEqual(ran, ['mark']);
+    assert.deepStrictEqual(commands, ['mark']);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].message, 'Microphone not ready');
+});
+
+test('a custom recogniser replaces the Web Speech API and is stopped with the service', async () => {
+    const { VoiceCommandService, ran, errors } = setup();
+    const recogniser = {
+        started: 0,
+        stopped: 0,
+        start(onTranscript, onRecogniserError) {
+            this.started++;
+            this.onTranscript = onTranscript;
+            this.onRecogniserError = onRecogniserError;
+        },
+        stop() {
+            this.stopped++;
+        }
+    };
+    
+    VoiceCommandService.start({ mark: () => ran.push('mark') }, recogniser);
+    assert.strictEqual(VoiceCommandService.isActive(), true);
+    
+    await recogniser.onTranscript('Bookmark');
+    recogniser.onRecogniserError(new Error('Speech recognition error: network'));
+    VoiceCommandService.stop();
+    
+    assert.deepStrictEqual(ran, ['mark']);
+    assert.deepStrictEqual(errors.map(error => error.message), ['Speech recognition error: network']);
+    assert.deepStrictEqual([recogniser.started, recogniser.stopped], [1, 1]);
+    assert.strictEqual(VoiceCommandService.isActive(), false);
+});
+
+test('matchCommand normalises the transcript before matching', () => {
+    const { VoiceCommandService } = setup();
+    
+    assert.strictEqual(VoiceCommandService.matchCommand('Discard recording!'), 'cancel');
+    assert.strictEqual(VoiceCommandService.matchCommand('Continue   recording.'), 'resume');
+    assert.strictEqual(VoiceCommandService.matchCommand('stop'), null);
+    assert.strictEqual(VoiceCommandService.matchCommand(''), null);
+});
@@ -0,0 +1,176 @@
+/**
+ * Drive resumable uploads against a local stand-in: an upload cut off mid-chunk,
+ * or by a reload, carries on from the offset Drive reports (308 + Range)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { loadScripts, createSettingsStore } = require('./helpers/load');
+const { startDriveServer } = require('./helpers/drive-server');
+
+const MiB = 1024 * 1024;
+
+async function setup(server) {
+    const store = createSettingsStore({
+        driveToken: { token: server.token, expiry: Date.now() + 60 * 60 * 1000 }
+    });
+    const uploadSessions = new Map();
+    const StorageService = {
+        ...store,
+        async getUploadSession(key) {
+            return uploadSessions.get(key) || null;
+        },
+        async saveUploadSession(session) {
+            uploadSessions.set(session.key, session);
+        },
+        async clearUploadSession(key) {
+            uploadSessions.delete(key);
+        },
+        async updateRecording() {}
+    };
+    
+    const { DriveService } = loadScripts(['templates.js', 'checksum.js', 'drive.js'], {
+        StorageService,
+        DestinationService: { register() {} },
+        navigator: {},
+        fetch
+    });
+    DriveService.configure('test-client', '', { apiUrl: server.apiUrl, uploadUrl: server.uploadUrl });
+    assert.strictEqual(await DriveService.restoreSession(), true);
+    
+    return { DriveService, uploadSessions };
+}
+
+function makeRecording(size) {
+    const data = crypto.randomBytes(size);
+    return {
+        data,
+        recording: {
+            id: 7,
+            blob: new Blob([data], { type: 'audio/webm' }),
+            fileName: '2024-05-01_08-30-00.webm',
+            drivePath: 'recordings/2024/05/01',
+            timestamp: '2024-05-01T08:30:00.000Z',
+            duration: 300
+        }
+    };
+}
+
+/**
+ * Content-Range of every PUT to the session: chunks and status checks
+ */
+function uploadRequests(server) {
+    return server.requests
+        .filter(request => request.method === 'PUT')
+        .map(request => request.contentRange);
+}
+
+test('an upload interrupted mid-chunk resumes at the offset Drive reports', async (t) => {
+    const server = await startDriveServer();
+    t.after(() => server.close());
+    const { DriveService, uploadSessions } = await setup(server);
+    const { data, recording } = makeRecording(5 * MiB);
+    
+    // The second chunk is cut off after 300,000 bytes reached Drive
+    let chunks = 0;
+    const progress = [];
+    const result = await DriveService.upload(recording, {
+        onProgress: ({ loaded }) => {
+            progress.push(loaded);
+            if (++chunks === 2) server.interruptNextChunk(300000);
+        }
+    });
+    
+    assert.deepStrictEqual(uploadRequests(server), [
+        `bytes 0-${2 * MiB - 1}/${5 * MiB}`,
+        `bytes ${2 * MiB}-${4 * MiB - 1}/${5 * MiB}`, // Dropped
+        `bytes */${5 * MiB}`,
+        `bytes ${2 * MiB + 300000}-${4 * MiB + 300000 - 1}/${5 * MiB}`,
+        `bytes ${4 * MiB + 300000}-${5 * MiB - 1}/${5 * MiB}`
+    ]);
+    assert.deepStrictEqual(progress, [0, 2 * MiB, 2 * MiB + 300000, 4 * MiB + 300000, 5 * MiB]);
+    
+    const file = server.files.get(result.remoteId);
+    assert.ok(file.data.equals(data), 'uploaded bytes match the recording');
+    assert.strictEqual(file.name, recording.fileName);
+    assert.strictEqual(uploadSessions.size, 0, 'finished session is forgotten');
+    assert.strictEqual(await DriveService.verify(recording, result), true);
+});
+
+test('an upload cut off by a reload resumes its saved session', async (t) => {
+    const server = await startDriveServer();
+    t.after(() => server.close());
+    const { DriveService, uploadSessions } = await setup(server);
+    const { data, recording } = makeRecording(4 * MiB);
+    
+    // The folders exist from before the reload
+    const folderIds = [];
+    for (const name of recording.drivePath.split('/')) {
+        const parents = [folderIds[folderIds.length - 1] || 'root'];
+        const response = await fetch(`${server.apiUrl}/files`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${server.token}` },
+            body: JSON.stringify({ name, mimeType: 'application/vnd.google-apps.folder', parents })
+        });
+        folderIds.push((await response.json()).id);
+    }
+    
+    // Drive has an odd number of bytes, not a whole chunk
+    const sentBytes = 1234567;
+    uploadSessions.set('drive:7', {
+        key: 'drive:7',
+        url: server.startPartialUpload({ name: recording.fileName, parents: [folderIds[2]] }, data, sentBytes),
+        size: data.length,
+        createdAt: Date.now()
+    });
+    
+    const result = await DriveService.upload(recording);
+    
+    assert.deepStrictEqual(uploadRequests(server), [
+        `bytes */${4 * MiB}`,
+        `bytes ${sentBytes}-${sentBytes + 2 * MiB - 1}/${4 * MiB}`,
+        `bytes ${sentBytes + 2 * MiB}-${4 * MiB - 1}/${4 * MiB}`
+    ]);
+    assert.strictEqual(server.requests.filter(r => r.method === 'POST' && r.path.startsWith('/upload')).length, 0,
+        'no new session is started');
+    assert.ok(server.files.get(result.remoteId).data.equals(data));
+    assert.deepStrictEqual(server.files.get(result.remoteId).parents, [folderIds[2]]);
+    assert.strictEqual(uploadSessions.size, 0);
+});
+
+test('a saved session that already finished is not uploaded again', async (t) => {
+    const server = await startDriveServer();
+    t.after(() => server.close());
+    const { DriveService, uploadSessions } = await setup(server);
+    const { data, recording } = makeRecording(1 * MiB);
+    
+    // Every byte arrived, but the reply was lost
+    const url = server.startPartialUpload({ name: recording.fileName, parents: ['root'] }, data, data.length);
+    await fetch(url, {
+        method: 'PUT',
+        headers: { Authorization: `Bearer ${server.token}`, 'Content-Range': `bytes */${data.length}` }
+    });
+    server.requests.length = 0;
+    uploadSessions.set('drive:7', { key: 'drive:7', url, size: data.length, createdAt: Date.now() });
+    
+    // Named differently, so the checksum search finds nothing and the session is asked
+    const result = await DriveService.upload({ ...recording, fileName: 'renamed.webm' });
+    
+    assert.deepStrictEqual(uploadRequests(server), [`bytes */${data.length}`]);
+    assert.ok(server.files.get(result.remoteId).data.equals(data));
+});
+
+test('the folder ensureFolder returned is uploaded into without looking the path up again', async (t) => {
+    const server = await startDriveServer();
+    t.after(() => server.close());
+    const { DriveService } = await setup(server);
+    const { recording } = makeRecording(1000);
+    
+    const folder = await DriveService.ensureFolder('Chosen folder');
+    const result = await DriveService.upload(recording, { folder });
+    
+    assert.deepStrictEqual(server.files.get(result.remoteId).parents, [folder]);
+    assert.deepStrictEqual([...server.files.values()].filter(file => file.mimeType.endsWith('folder')).map(file => file.name),
+        ['Chosen folder'], 'the recording path is not created');
+});
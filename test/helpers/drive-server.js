@@ -0,0 +1,218 @@
+/**
+ * Test helper: a local stand-in for the parts of the Drive API the app uses
+ * (folder search and creation, file metadata, and resumable uploads), kept
+ * in memory. Uploads can be made to drop the connection part way through a
+ * chunk, keeping what arrived, as a flaky mobile connection would.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+async function startDriveServer({ token = 'test-token' } = {}) {
+    const files = new Map(); // id -> { id, name, mimeType, parents, appProperties, data, trashed }
+    const sessions = new Map(); // upload_id -> { metadata, total, data, fileId }
+    const requests = []; // { method, path, contentRange, status }
+    let nextId = 1;
+    let interruption = null; // { afterBytes } for the next chunk
+    
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const body = await readBody(req);
+        const log = { method: req.method, path: url.pathname, contentRange: req.headers['content-range'] || null };
+        requests.push(log);
+        
+        const send = (status, data = null, headers = {}) => {
+            log.status = status;
+            res.writeHead(status, data ? { 'Content-Type': 'application/json', ...headers } : headers);
+            res.end(data ? JSON.stringify(data) : undefined);
+        };
+        
+        if (req.headers.authorization !== `Bearer ${token}`) {
+            return send(401, { error: { code: 401, message: 'Invalid Credentials' } });
+        }
+        
+        if (url.pathname === '/upload/drive/v3/files' && url.searchParams.has('upload_id')) {
+            return handleChunk(req, res, url.searchParams.get('upload_id'), body, log, send);
+        }
+        
+        if (req.method === 'POST' && url.pathname === '/upload/drive/v3/files') {
+            const metadata = JSON.parse(body.toString() || '{}');
+            if (metadata.parents?.some(id => !files.has(id) && id !== 'root')) {
+                return send(404, { error: { code: 404, message: 'File not found' } });
+            }
+            const uploadId = `session${nextId++}`;
+            sessions.set(uploadId, {
+                metadata,
+                total: Number(req.headers['x-upload-content-length']),
+                data: Buffer.alloc(0),
+                fileId: null
+            });
+            return send(200, null, { Location: `${baseUrl}/upload/drive/v3/files?uploadType=resumable&upload_id=${uploadId}` });
+        }
+        
+        if (req.method === 'POST' && url.pathname === '/drive/v3/files') {
+            const metadata = JSON.parse(body.toString());
+            return send(200, describe(addFile(metadata, Buffer.alloc(0))));
+        }
+        
+        if (req.method === 'GET' && url.pathname === '/drive/v3/files') {
+            const matches = [...files.values()].filter(file => matchesQuery(file, url.searchParams.get('q') || ''));
+            return send(200, { files: matches.map(describe) });
+        }
+        
+        const fileMatch = /^\/drive\/v3\/files\/([^/]+)$/.exec(url.pathname);
+        if (req.method === 'GET' && fileMatch) {
+            const file = files.get(fileMatch[1]);
+            return file ? send(200, describe(file)) : send(404, { error: { code: 404, message: 'File not found' } });
+        }
+        
+        send(404, { error: { code: 404, message: `No stand-in for ${req.method} ${url.pathname}` } });
+    });
+    
+    /**
+     * A PUT to a session: either a status check ('bytes *\/total') or the
+     * next chunk, which must start where the received bytes end
+     */
+    function handleChunk(req, res, uploadId, body, log, send) {
+        const session = sessions.get(uploadId);
+        if (!session) {
+            return send(404, { error: { code: 404, message: 'Upload session not found' } });
+        }
+        
+        const range = /^bytes (?:(\d+)-(\d+)|\*)\/(\d+)$/.exec(req.headers['content-range'] || '');
+        if (!range || Number(range[3]) !== session.total) {
+            return send(400, { error: { code: 400, message: 'Bad Content-Range' } });
+        }
+        
+        if (range[1] !== undefined) {
+            if (session.fileId) {
+                return send(200, describe(files.get(session.fileId)));
+            }
+            if (Number(range[1]) !== session.data.length) {
+                return send(400, { error: { code: 400, message: `Expected bytes from ${session.data.length}` } });
+            }
+            
+            if (interruption) {
+                // Keep part of the chunk, then drop the connection without answering
+                const kept = body.subarray(0, interruption.afterBytes);
+                session.data = Buffer.concat([session.data, kept]);
+                interruption = null;
+                log.status = 'dropped';
+                req.socket.destroy();
+                return;
+            }
+            
+            session.data = Buffer.concat([session.data, body]);
+        }
+        
+        if (session.data.length === session.total && !session.fileId) {
+            session.fileId = addFile(session.metadata, session.data).id;
+        }
+        if (session.fileId) {
+            return send(200, describe(files.get(session.fileId)));
+        }
+        
+        const headers = session.data.length > 0 ? { Range: `bytes=0-${session.data.length - 1}` } : {};
+        send(308, null, headers);
+    }
+    
+    function addFile(metadata, data) {
+        const file = {
+            id: `file${nextId++}`,
+            name: metadata.name,
+            mimeType: metadata.mimeType || 'application/octet-stream',
+            parents: metadata.parents || ['root'],
+            appProperties: metadata.appProperties || {},
+            data,
+            trashed: false
+        };
+        files.set(file.id, file);
+        return file;
+    }
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    
+    return {
+        apiUrl: `${baseUrl}/drive/v3`,
+        uploadUrl: `${baseUrl}/upload/drive/v3/files`,
+        token,
+        files,
+        sessions,
+        requests,
+        
+        /**
+         * Drop the connection during the next chunk, after `afterBytes` of it arrived
+         */
+        interruptNextChunk(afterBytes) {
+            interruption = { afterBytes };
+        },
+        
+        /**
+         * Start a session and send the first bytes, as an upload cut off by a reload would have
+         */
+        startPartialUpload(metadata, data, sentBytes) {
+            const uploadId = `session${nextId++}`;
+            sessions.set(uploadId, { metadata, total: data.length, data: Buffer.from(data.subarray(0, sentBytes)), fileId: null });
+            return `${baseUrl}/upload/drive/v3/files?uploadType=resumable&upload_id=${uploadId}`;
+        },
+        
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+function describe(file) {
+    return {
+        id: file.id,
+        name: file.name,
+        mimeType: file.mimeType,
+        parents: file.parents,
+        appProperties: file.appProperties,
+        size: String(file.data.length),
+        md5Checksum: crypto.createHash('md5').update(file.data).digest('hex'),
+        trashed: file.trashed,
+        webViewLink: `https://drive.google.com/file/d/${file.id}/view`
+    };
+}
+
+/**
+ * Just enough of the Drive query language for the app's own searches
+ */
+function matchesQuery(file, query) {
+    const value = (pattern) => {
+        const match = pattern.exec(query);
+        return match ? match[1].replace(/\\(.)/g, '$1') : null;
+    };
+    const quoted = "'((?:[^'\\\\]|\\\\.)*)'";
+    
+    if (query.includes('trashed=false') && file.trashed) return false;
+    
+    const md5 = value(new RegExp(`appProperties has \\{ key='md5' and value=${quoted} \\}`));
+    const name = value(new RegExp(`name=${quoted}`));
+    const mimeType = value(new RegExp(`mimeType=${quoted}`));
+    const parent = value(new RegExp(`${quoted} in parents`));
+    const inFolder = (!name || file.name === name) && (!parent || file.parents.includes(parent));
+    
+    if (md5 !== null) {
+        return file.appProperties.md5 === md5 || (name !== null && inFolder);
+    }
+    return inFolder && (!mimeType || file.mimeType === mimeType);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+module.exports = {
+    FOLDER_MIME_TYPE,
+    startDriveServer
+};
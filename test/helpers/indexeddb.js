@@ -0,0 +1,75 @@
+/**
+ * Test helper: a small in-memory stand-in for IndexedDB, covering open,
+ * object stores with a key path (auto-incrementing or not) and get, put,
+ * add. Like the real thing, stored values are copies and requests succeed
+ * asynchronously.
+ */
+
+function createIndexedDB() {
+    const stores = new Map(); // name -> { keyPath, autoIncrement, nextKey, records: Map }
+    
+    function request(run) {
+        const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+        setImmediate(() => {
+            try {
+                req.result = run();
+                req.onsuccess?.({ target: req });
+            } catch (error) {
+                req.error = error;
+                req.onerror?.({ target: req });
+            }
+        });
+        return req;
+    }
+    
+    function objectStore(name) {
+        const store = stores.get(name);
+        if (!store) throw new Error(`No object store named ${name}`);
+        
+        const write = (value, mustBeNew) => {
+            const copy = structuredClone(value);
+            if (copy[store.keyPath] === undefined && store.autoIncrement) {
+                copy[store.keyPath] = store.nextKey++;
+            }
+            const key = copy[store.keyPath];
+            if (mustBeNew && store.records.has(key)) {
+                throw new Error('ConstraintError');
+            }
+            store.records.set(key, copy);
+            return key;
+        };
+        
+        return {
+            get: (key) => request(() => structuredClone(store.records.get(key))),
+            put: (value) => request(() => write(value, false)),
+            add: (value) => request(() => write(value, true))
+        };
+    }
+    
+    const db = {
+        objectStoreNames: { contains: (name) => stores.has(name) },
+        createObjectStore(name, { keyPath, autoIncrement = false } = {}) {
+            stores.set(name, { keyPath, autoIncrement, nextKey: 1, records: new Map() });
+            return { createIndex() {} };
+        },
+        transaction: () => ({ objectStore })
+    };
+    
+    return {
+        stores,
+        indexedDB: {
+            open() {
+                const req = { result: db, onsuccess: null, onerror: null, onupgradeneeded: null };
+                setImmediate(() => {
+                    req.onupgradeneeded?.({ target: req, oldVersion: 0 });
+                    req.onsuccess?.({ target: req });
+                });
+                return req;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createIndexedDB
+};
@@ -0,0 +1,66 @@
+/**
+ * Test helper: runs the app's browser scripts in a fresh context, with
+ * stand-ins for the browser APIs and services each test needs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Load scripts from js/ and return the services they define
+ * @param {string[]} files - e.g. ['commands.js'], in index.html order
+ * @param {object} globals - Globals the scripts expect (window, fetch, other services...)
+ * @returns {object} Every top-level const the scripts declared, by name
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        URLSearchParams,
+        Blob,
+        crypto: globalThis.crypto,
+        ...globals
+    });
+    context.self = context;
+    
+    const names = [];
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(ROOT, 'js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+        names.push(...[...source.matchAll(/^const (\w+) = /gm)].map(match => match[1]));
+    }
+    
+    // Top-level consts are not properties of the context, so read them back by name
+    return Object.fromEntries(names.map(name => [name, vm.runInContext(name, context)]));
+}
+
+/**
+ * In-memory StorageService settings store
+ */
+function createSettingsStore(initial = {}) {
+    const settings = { ...initial };
+    return {
+        settings,
+        async getSetting(key, fallback = null) {
+            return key in settings ? settings[key] : fallback;
+        },
+        async setSetting(key, value) {
+            settings[key] = value;
+        }
+    };
+}
+
+module.exports = {
+    ROOT,
+    loadScripts,
+    createSettingsStore
+};
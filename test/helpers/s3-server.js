@@ -0,0 +1,237 @@
+/**
+ * Test helper: a local in-memory stand-in for an S3-compatible bucket.
+ * Every request must carry a valid SigV4 signature, checked here with
+ * Node's own crypto rather than the app's code. Covers single PUTs, HEAD,
+ * DELETE and multipart uploads (create, upload part, complete).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+async function startS3Server({
+    bucket = 'recordings',
+    region = 'eu-west-1',
+    accessKeyId = 'AKIDEXAMPLE',
+    secretAccessKey = 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY'
+} = {}) {
+    const objects = new Map(); // key -> { data, contentType, etag }
+    const uploads = new Map(); // uploadId -> { key, contentType, parts: Map(partNumber -> { data, etag }) }
+    const requests = []; // { method, key, query, status }
+    const failures = []; // One-shot { match(request), status, code }
+    let nextUploadId = 1;
+    let exposeEtag = true;
+    
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const body = await readBody(req);
+        const query = Object.fromEntries(url.searchParams);
+        const [, bucketName, ...keyParts] = url.pathname.split('/');
+        const key = keyParts.map(decodeURIComponent).join('/');
+        const log = { method: req.method, key, query };
+        requests.push(log);
+        
+        const send = (status, xml = '', headers = {}) => {
+            log.status = status;
+            if (!exposeEtag) delete headers.ETag;
+            res.writeHead(status, xml ? { 'Content-Type': 'application/xml', ...headers } : headers);
+            res.end(req.method === 'HEAD' ? undefined : xml);
+        };
+        const fail = (status, code) => send(status, `<?xml version="1.0"?><Error><Code>${code}</Code></Error>`);
+        
+        const problem = checkSignature(req, url, body);
+        if (problem) return fail(403, problem);
+        if (decodeURIComponent(bucketName) !== bucket) return fail(404, 'NoSuchBucket');
+        
+        const failure = failures.findIndex(f => f.match(log));
+        if (failure !== -1) {
+            const [{ status, code }] = failures.splice(failure, 1);
+            return fail(status, code);
+        }
+        
+        if (req.method === 'PUT' && query.uploadId) {
+            const upload = uploads.get(query.uploadId);
+            if (!upload || upload.key !== key) return fail(404, 'NoSuchUpload');
+            const etag = md5Etag(body);
+            upload.parts.set(Number(query.partNumber), { data: body, etag });
+            return send(200, '', { ETag: etag });
+        }
+        
+        if (req.method === 'PUT') {
+            const etag = md5Etag(body);
+            objects.set(key, { data: body, contentType: req.headers['content-type'] || null, etag });
+            return send(200, '', { ETag: etag });
+        }
+        
+        if (req.method === 'HEAD') {
+            const object = objects.get(key);
+            if (!object) return send(404);
+            return send(200, '', { 'Content-Length': String(object.data.length), ETag: object.etag });
+        }
+        
+        if (req.method === 'DELETE') {
+            objects.delete(key);
+            return send(204);
+        }
+        
+        if (req.method === 'POST' && 'uploads' in query) {
+            const uploadId = `upload${nextUploadId++}`;
+            uploads.set(uploadId, { key, contentType: req.headers['content-type'] || null, parts: new Map() });
+            return send(200, '<?xml version="1.0"?><InitiateMultipartUploadResult>' +
+                `<Bucket>${bucket}</Bucket><Key>${key}</Key><UploadId>${uploadId}</UploadId>` +
+                '</InitiateMultipartUploadResult>');
+        }
+        
+        if (req.method === 'POST' && query.uploadId) {
+            const upload = uploads.get(query.uploadId);
+            if (!upload || upload.key !== key) return fail(404, 'NoSuchUpload');
+            
+            const listed = [...body.toString().matchAll(/<Part><PartNumber>(\d+)<\/PartNumber><ETag>([^<]*)<\/ETag><\/Part>/g)]
+                .map(match => ({ partNumber: Number(match[1]), etag: match[2].replace(/&quot;/g, '"') }));
+            if (listed.length === 0) return fail(400, 'MalformedXML');
+            
+            const data = [];
+            for (const [index, { partNumber, etag }] of listed.entries()) {
+                const part = upload.parts.get(partNumber);
+                if (!part || part.etag !== etag) return fail(400, 'InvalidPart');
+                if (index > 0 && partNumber <= listed[index - 1].partNumber) return fail(400, 'InvalidPartOrder');
+                if (index < listed.length - 1 && part.data.length < MIN_PART_SIZE) return fail(400, 'EntityTooSmall');
+                data.push(part.data);
+            }
+            
+            const combined = Buffer.concat(data);
+            const etag = `"${crypto.createHash('md5').update(combined).digest('hex')}-${listed.length}"`;
+            objects.set(key, { data: combined, contentType: upload.contentType, etag });
+            uploads.delete(query.uploadId);
+            return send(200, '<?xml version="1.0"?><CompleteMultipartUploadResult>' +
+                `<Key>${key}</Key><ETag>${etag}</ETag></CompleteMultipartUploadResult>`);
+        }
+        
+        fail(405, 'MethodNotAllowed');
+    });
+    
+    /**
+     * Returns an S3 error code if the request is not correctly signed
+     */
+    function checkSignature(req, url, body) {
+        const auth = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+            .exec(req.headers.authorization || '');
+        if (!auth) return 'AccessDenied';
+        
+        const [, keyId, date, scopeRegion, signedHeaders, signature] = auth;
+        const amzDate = req.headers['x-amz-date'] || '';
+        if (keyId !== accessKeyId) return 'InvalidAccessKeyId';
+        if (scopeRegion !== region || !amzDate.startsWith(date)) return 'AuthorizationHeaderMalformed';
+        
+        const payloadHash = req.headers['x-amz-content-sha256'];
+        if (payloadHash !== crypto.createHash('sha256').update(body).digest('hex')) return 'XAmzContentSHA256Mismatch';
+        
+        const canonical = canonicalRequest({
+            method: req.method,
+            path: url.pathname,
+            query: url.search.slice(1),
+            headers: req.headers,
+            signedHeaders,
+            payloadHash
+        });
+        return sign(secretAccessKey, amzDate, region, canonical) === signature ? null : 'SignatureDoesNotMatch';
+    }
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    return {
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        bucket,
+        region,
+        accessKeyId,
+        secretAccessKey,
+        objects,
+        uploads,
+        requests,
+        
+        /**
+         * Answer the next request that matches with an error
+         * @param {function} match - (request) => boolean, given { method, key, query }
+         */
+        failNext(match, status = 500, code = 'InternalError') {
+            failures.push({ match, status, code });
+        },
+        
+        /**
+         * Leave ETag out of responses, as a browser does when the bucket's
+         * CORS rules do not expose it
+         */
+        hideEtag() {
+            exposeEtag = false;
+        },
+        
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+/**
+ * SigV4 canonical request. The path and query are canonicalised from what
+ * was actually sent, so a client that encodes them differently from S3
+ * fails the check.
+ */
+function canonicalRequest({ method, path, query, headers, signedHeaders, payloadHash }) {
+    const canonicalPath = path.split('/').map(segment => encodeRfc3986(decodeURIComponent(segment))).join('/');
+    const canonicalQuery = query
+        .split('&')
+        .filter(Boolean)
+        .map(pair => {
+            const [name, value = ''] = pair.split('=');
+            return [encodeRfc3986(decodeURIComponent(name)), encodeRfc3986(decodeURIComponent(value))];
+        })
+        .sort(([a, aValue], [b, bValue]) => a < b ? -1 : a > b ? 1 : aValue < bValue ? -1 : 1)
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&');
+    const canonicalHeaders = signedHeaders
+        .split(';')
+        .map(name => `${name}:${String(headers[name] ?? '').trim().replace(/\s+/g, ' ')}\n`)
+        .join('');
+    
+    return [method, canonicalPath, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+}
+
+function sign(secretAccessKey, amzDate, region, canonical) {
+    const date = amzDate.slice(0, 8);
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        `${date}/${region}/s3/aws4_request`,
+        crypto.createHash('sha256').update(canonical).digest('hex')
+    ].join('\n');
+    
+    let key = Buffer.from(`AWS4${secretAccessKey}`);
+    for (const part of [date, region, 's3', 'aws4_request']) {
+        key = crypto.createHmac('sha256', key).update(part).digest();
+    }
+    return crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+}
+
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function md5Etag(data) {
+    return `"${crypto.createHash('md5').update(data).digest('hex')}"`;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+module.exports = {
+    startS3Server,
+    canonicalRequest,
+    sign
+};
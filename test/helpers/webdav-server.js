@@ -0,0 +1,105 @@
+/**
+ * Test helper: a local in-memory WebDAV server with basic auth, covering the
+ * methods the app uses (PROPFIND depth 0, MKCOL, PUT, DELETE). Like
+ * Nextcloud, MKCOL answers 405 for an existing collection and 409 when the
+ * parent is missing.
+ */
+
+const http = require('http');
+
+async function startWebDAVServer({ username = 'alice', password = 'app-password', root = '/remote.php/dav/files/alice' } = {}) {
+    const collections = new Set([root]);
+    const files = new Map(); // path -> { data, contentType }
+    const requests = []; // { method, path, status }
+    const expectedAuth = 'Basic ' + Buffer.from(`${username}:${password}`, 'utf8').toString('base64');
+    
+    const server = http.createServer(async (req, res) => {
+        const path = decodeURIComponent(new URL(req.url, 'http://localhost').pathname).replace(/\/+$/, '');
+        const body = await readBody(req);
+        const log = { method: req.method, path };
+        requests.push(log);
+        
+        const send = (status, text = '', headers = {}) => {
+            log.status = status;
+            res.writeHead(status, headers);
+            res.end(text);
+        };
+        
+        if (req.headers.authorization !== expectedAuth) {
+            return send(401, '', { 'WWW-Authenticate': 'Basic realm="test"' });
+        }
+        if (path !== root && !path.startsWith(`${root}/`)) {
+            return send(404);
+        }
+        
+        const parent = path.slice(0, path.lastIndexOf('/'));
+        
+        switch (req.method) {
+            case 'PROPFIND': {
+                if (req.headers.depth !== '0') return send(403);
+                if (collections.has(path)) {
+                    return send(207, multistatus(req.url, '<d:resourcetype><d:collection/></d:resourcetype>'),
+                        { 'Content-Type': 'application/xml; charset=utf-8' });
+                }
+                if (files.has(path)) {
+                    const length = files.get(path).data.length;
+                    return send(207, multistatus(req.url, `<d:resourcetype/><d:getcontentlength>${length}</d:getcontentlength>`),
+                        { 'Content-Type': 'application/xml; charset=utf-8' });
+                }
+                return send(404);
+            }
+            case 'MKCOL':
+                if (collections.has(path) || files.has(path)) return send(405);
+                if (!collections.has(parent)) return send(409);
+                collections.add(path);
+                return send(201);
+            case 'PUT':
+                if (!collections.has(parent)) return send(409);
+                if (collections.has(path)) return send(405);
+                files.set(path, { data: body, contentType: req.headers['content-type'] || null });
+                return send(201);
+            case 'DELETE':
+                if (!files.delete(path)) return send(404);
+                return send(204);
+            default:
+                return send(405);
+        }
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    
+    return {
+        url: origin + root,
+        root,
+        username,
+        password,
+        collections,
+        files,
+        requests,
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+function multistatus(href, props) {
+    return '<?xml version="1.0"?>' +
+        '<d:multistatus xmlns:d="DAV:"><d:response>' +
+        `<d:href>${href}</d:href>` +
+        `<d:propstat><d:prop>${props}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat>` +
+        '</d:response></d:multistatus>';
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+module.exports = {
+    startWebDAVServer
+};
@@ -0,0 +1,109 @@
+/**
+ * Media Session: headset and steering-wheel buttons, with a stand-in for
+ * navigator.mediaSession and the silent audio that keeps the page in charge
+ * of the media keys
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load');
+
+function setup({ autoplayBlocked = false } = {}) {
+    const actionHandlers = new Map();
+    const mediaSession = {
+        playbackState: 'none',
+        metadata: null,
+        setActionHandler(action, handler) {
+            actionHandlers.set(action, handler);
+        }
+    };
+    
+    const audio = [];
+    class Audio {
+        constructor(src) {
+            this.src = src;
+            this.paused = true;
+            audio.push(this);
+        }
+        play() {
+            if (autoplayBlocked) return Promise.reject(new Error('NotAllowedError'));
+            this.paused = false;
+            return Promise.resolve();
+        }
+        pause() {
+            this.paused = true;
+        }
+    }
+    
+    const listeners = new Map();
+    const document = {
+        addEventListener(type, listener) {
+            listeners.set(type, listener);
+        }
+    };
+    
+    const { MediaSessionService } = loadScripts(['media.js'], {
+        navigator: { mediaSession },
+        Audio,
+        MediaMetadata: class { constructor(init) { Object.assign(this, init); } },
+        document
+    });
+    
+    const press = (action) => actionHandlers.get(action)?.();
+    return {
+        MediaSessionService,
+        mediaSession,
+        audio,
+        listeners,
+        press,
+        unblockAutoplay() {
+            autoplayBlocked = false;
+        }
+    };
+}
+
+test('play starts a recording from idle', async () => {
+    const { MediaSessionService, mediaSession, audio, press } = setup();
+    const calls = [];
+    MediaSessionService.init({ play: () => calls.push('play'), pause: () => calls.push('pause') }, () => 0);
+    
+    MediaSessionService.setState('inactive');
+    await Promise.resolve();
+    
+    assert.strictEqual(mediaSession.playbackState, 'paused');
+    assert.strictEqual(mediaSession.metadata.title, 'Ready to record');
+    assert.strictEqual(audio.length, 1);
+    assert.strictEqual(audio[0].paused, false, 'the page keeps the media session while idle');
+    
+    press('play');
+    assert.deepStrictEqual(calls, ['play']);
+});
+
+test('the session stays with the page after a recording stops', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const { MediaSessionService, mediaSession, audio } = setup();
+    MediaSessionService.init({ play() {} }, () => 75);
+    
+    MediaSessionService.setState('recording');
+    assert.strictEqual(mediaSession.playbackState, 'playing');
+    assert.strictEqual(mediaSession.metadata.title, 'Recording 01:15');
+    
+    MediaSessionService.setState('inactive');
+    assert.strictEqual(mediaSession.playbackState, 'paused');
+    assert.strictEqual(mediaSession.metadata.title, 'Ready to record');
+    assert.strictEqual(audio.length, 1);
+    assert.strictEqual(audio[0].paused, false);
+});
+
+test('silent audio blocked at page load starts on the next tap', async () => {
+    const { MediaSessionService, audio, listeners, unblockAutoplay } = setup({ autoplayBlocked: true });
+    MediaSessionService.init({ play() {} }, () => 0);
+    
+    MediaSessionService.setState('inactive');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(audio[0].paused, true);
+    
+    unblockAutoplay();
+    listeners.get('pointerdown')();
+    assert.strictEqual(audio[0].paused, false);
+});
@@ -0,0 +1,251 @@
+/**
+ * S3 destination against a local stand-in bucket that checks every SigV4
+ * signature: configuration, single and multipart uploads, and resuming a
+ * multipart upload from its saved parts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { loadScripts, createSettingsStore } = require('./helpers/load');
+const { startS3Server, canonicalRequest, sign } = require('./helpers/s3-server');
+
+const MiB = 1024 * 1024;
+
+async function setup(t) {
+    const server = await startS3Server();
+    t.after(() => server.close());
+    
+    const store = createSettingsStore();
+    const uploadSessions = new Map();
+    const StorageService = {
+        ...store,
+        async getUploadSession(key) {
+            return uploadSessions.get(key) || null;
+        },
+        async saveUploadSession(session) {
+            uploadSessions.set(session.key, JSON.parse(JSON.stringify(session)));
+        },
+        async clearUploadSession(key) {
+            uploadSessions.delete(key);
+        }
+    };
+    
+    const { S3Service } = loadScripts(['templates.js', 's3.js'], {
+        StorageService,
+        DestinationService: { register() {} },
+        fetch
+    });
+    return { server, store, uploadSessions, S3Service };
+}
+
+function details(server, overrides = {}) {
+    return {
+        endpoint: server.endpoint,
+        region: server.region,
+        bucket: server.bucket,
+        prefix: 'voice',
+        accessKeyId: server.accessKeyId,
+        secretAccessKey: server.secretAccessKey,
+        ...overrides
+    };
+}
+
+function makeRecording(size, overrides = {}) {
+    const data = crypto.randomBytes(size);
+    return {
+        data,
+        recording: {
+            id: 11,
+            blob: new Blob([data], { type: 'audio/webm' }),
+            fileName: '2024-05-01_08-30-00.webm',
+            drivePath: 'recordings/2024/05/01',
+            timestamp: '2024-05-01T08:30:00.000Z',
+            ...overrides
+        }
+    };
+}
+
+function partRequests(server) {
+    return server.requests
+        .filter(request => request.method === 'PUT' && request.query.partNumber)
+        .map(request => Number(request.query.partNumber));
+}
+
+test('the stand-in checks signatures like AWS does (published GET ?lifecycle example)', () => {
+    const canonical = canonicalRequest({
+        method: 'GET',
+        path: '/',
+        query: 'lifecycle',
+        headers: {
+            host: 'examplebucket.s3.amazonaws.com',
+            'x-amz-content-sha256': 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+            'x-amz-date': '20130524T000000Z'
+        },
+        signedHeaders: 'host;x-amz-content-sha256;x-amz-date',
+        payloadHash: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    });
+    
+    assert.strictEqual(
+        sign('wJalrXUtnFEMI/K7MDENG/bPxRfiCYEXAMPLEKEY', '20130524T000000Z', 'us-east-1', canonical),
+        'fea454ca298b7da1c68078a5d1bdbfbbe0d65c699e0f91ac7a200a0136783543'
+    );
+});
+
+test('configure checks the key by writing, reading and deleting an object', async (t) => {
+    const { server, store, S3Service } = await setup(t);
+    
+    assert.strictEqual(await S3Service.configure(details(server, { endpoint: `${server.endpoint}/`, prefix: '/voice/' })), true);
+    
+    assert.deepStrictEqual(server.requests.map(r => `${r.method} ${r.key} ${r.status}`), [
+        'PUT voice/.voice-to-drive-check 200',
+        'HEAD voice/.voice-to-drive-check 200',
+        'DELETE voice/.voice-to-drive-check 204'
+    ]);
+    assert.strictEqual(server.objects.size, 0);
+    assert.strictEqual(store.settings.s3.prefix, 'voice');
+    assert.strictEqual(store.settings.s3.endpoint, server.endpoint);
+    assert.strictEqual(S3Service.getBucket().secretAccessKey, undefined);
+});
+
+test('a wrong secret or region is rejected and nothing is saved', async (t) => {
+    const { server, store, S3Service } = await setup(t);
+    
+    await assert.rejects(S3Service.configure(details(server, { secretAccessKey: 'not-the-secret' })),
+        { status: 403, message: 'S3 PUT failed: 403 SignatureDoesNotMatch' });
+    await assert.rejects(S3Service.configure(details(server, { region: 'us-east-1' })),
+        { status: 403, message: 'S3 PUT failed: 403 AuthorizationHeaderMalformed' });
+    
+    assert.strictEqual(store.settings.s3, undefined);
+    assert.strictEqual(S3Service.isAuthenticated(), false);
+});
+
+test('a bucket whose CORS rules hide ETag is refused, naming ExposeHeaders', async (t) => {
+    const { server, store, S3Service } = await setup(t);
+    server.hideEtag();
+    
+    await assert.rejects(S3Service.configure(details(server)), /ExposeHeaders/);
+    
+    assert.strictEqual(server.objects.size, 0, 'the check object is still removed');
+    assert.strictEqual(store.settings.s3, undefined);
+    assert.strictEqual(S3Service.isAuthenticated(), false);
+});
+
+test('the check object is removed even when reading it back fails', async (t) => {
+    const { server, store, S3Service } = await setup(t);
+    server.failNext(request => request.method === 'HEAD', 403, 'AccessDenied');
+    
+    await assert.rejects(S3Service.configure(details(server)), { status: 403 });
+    
+    assert.deepStrictEqual(server.requests.map(r => `${r.method} ${r.status}`), ['PUT 200', 'HEAD 403', 'DELETE 204']);
+    assert.strictEqual(server.objects.size, 0);
+    assert.strictEqual(store.settings.s3, undefined);
+});
+
+test('a small recording is uploaded with one signed PUT', async (t) => {
+    const { server, S3Service } = await setup(t);
+    await S3Service.configure(details(server));
+    const { data, recording } = makeRecording(1000);
+    
+    const progress = [];
+    const result = await S3Service.upload(recording, { onProgress: ({ percent }) => progress.push(percent) });
+    
+    assert.strictEqual(result.remoteId, 'voice/recordings/2024/05/01/2024-05-01_08-30-00.webm');
+    assert.ok(server.objects.get(result.remoteId).data.equals(data));
+    assert.strictEqual(server.objects.get(result.remoteId).contentType, 'audio/webm');
+    assert.deepStrictEqual(progress, [0, 100]);
+    assert.strictEqual(await S3Service.verify(recording, result), true);
+});
+
+test('a recording without a folder path goes under its dated folder, as reported', async (t) => {
+    const { server, S3Service } = await setup(t);
+    await S3Service.configure(details(server));
+    const { recording } = makeRecording(100, { drivePath: undefined, timestamp: '2024-05-01T12:00:00.000Z' });
+    
+    const result = await S3Service.upload(recording);
+    
+    assert.strictEqual(result.folderPath, 'recordings/2024/05/01');
+    assert.strictEqual(result.remoteId, `voice/${result.folderPath}/${recording.fileName}`);
+    assert.ok(server.objects.has(result.remoteId));
+});
+
+test('keys with spaces, brackets and accents are signed as S3 expects', async (t) => {
+    const { server, S3Service } = await setup(t);
+    await S3Service.configure(details(server));
+    const { recording } = makeRecording(100, { drivePath: "Voice notes/Zoë's (car)", fileName: 'Idea #1 [draft]*.webm' });
+    
+    const result = await S3Service.upload(recording);
+    
+    assert.ok(server.objects.has("voice/Voice notes/Zoë's (car)/Idea #1 [draft]*.webm"));
+    assert.strictEqual(await S3Service.verify(recording, result), true);
+    await S3Service.delete(result.remoteId);
+    assert.strictEqual(server.objects.size, 0);
+});
+
+test('a large recording is uploaded in parts', async (t) => {
+    const { server, uploadSessions, S3Service } = await setup(t);
+    await S3Service.configure(details(server));
+    const { data, recording } = makeRecording(20 * MiB);
+    
+    const progress = [];
+    const result = await S3Service.upload(recording, { onProgress: ({ loaded }) => progress.push(loaded) });
+    
+    assert.deepStrictEqual(partRequests(server), [1, 2, 3]);
+    assert.deepStrictEqual(progress, [8 * MiB, 16 * MiB, 20 * MiB]);
+    assert.ok(server.objects.get(result.remoteId).data.equals(data));
+    assert.strictEqual(server.objects.get(result.remoteId).contentType, 'audio/webm');
+    assert.strictEqual(server.uploads.size, 0);
+    assert.strictEqual(uploadSessions.size, 0);
+    assert.strictEqual(await S3Service.verify(recording, result), true);
+});
+
+test('an interrupted multipart upload resumes after the last saved part', async (t) => {
+    const { server, uploadSessions, S3Service } = await setup(t);
+    await S3Service.configure(details(server));
+    const { data, recording } = makeRecording(20 * MiB);
+    
+    // Part 3 is refused, e.g. the connection was cut off and the page reloaded
+    server.failNext(request => request.query.partNumber === '3', 400, 'RequestTimeout');
+    await assert.rejects(S3Service.upload(recording), { status: 400 });
+    
+    const saved = uploadSessions.get('s3:11');
+    assert.deepStrictEqual(saved.parts.map(part => part.partNumber), [1, 2]);
+    
+    server.requests.length = 0;
+    const result = await S3Service.upload(recording);
+    
+    assert.deepStrictEqual(partRequests(server), [3]);
+    assert.strictEqual(server.requests.filter(r => r.method === 'POST' && 'uploads' in r.query).length, 0,
+        'no new multipart upload is started');
+    assert.ok(server.objects.get(result.remoteId).data.equals(data));
+    assert.strictEqual(uploadSessions.size, 0);
+});
+
+test('a part that fails with a server error is retried', async (t) => {
+    const { server, S3Service } = await setup(t);
+    await S3Service.configure(details(server));
+    const { data, recording } = makeRecording(17 * MiB);
+    
+    server.failNext(request => request.query.partNumber === '2', 503, 'SlowDown');
+    const result = await S3Service.upload(recording);
+    
+    assert.deepStrictEqual(partRequests(server), [1, 2, 2, 3]);
+    assert.ok(server.objects.get(result.remoteId).data.equals(data));
+});
+
+test('an expired multipart upload is forgotten so the next attempt starts again', async (t) => {
+    const { server, uploadSessions, S3Service } = await setup(t);
+    await S3Service.configure(details(server));
+    const { data, recording } = makeRecording(20 * MiB);
+    
+    server.failNext(request => request.query.partNumber === '2', 400, 'RequestTimeout');
+    await assert.rejects(S3Service.upload(recording));
+    
+    // The bucket's lifecycle rule aborted it
+    server.uploads.clear();
+    await assert.rejects(S3Service.upload(recording), { status: 404 });
+    assert.strictEqual(uploadSessions.size, 0);
+    
+    const result = await S3Service.upload(recording);
+    assert.ok(server.objects.get(result.remoteId).data.equals(data));
+});
@@ -0,0 +1,29 @@
+/**
+ * StorageService against an in-memory IndexedDB
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load');
+const { createIndexedDB } = require('./helpers/indexeddb');
+
+async function setup() {
+    const { indexedDB, stores } = createIndexedDB();
+    const { StorageService } = loadScripts(['templates.js', 'storage.js'], { indexedDB });
+    await StorageService.init();
+    return { StorageService, stores };
+}
+
+test('a saved recording comes back with the id IndexedDB gave it', async () => {
+    const { StorageService, stores } = await setup();
+    const blob = new Blob(['audio'], { type: 'audio/webm' });
+    
+    const first = await StorageService.saveRecording(blob, { duration: 5, timestamp: '2024-05-01T12:00:00.000Z' });
+    const second = await StorageService.saveRecording(blob, { duration: 7 });
+    
+    assert.strictEqual(first.id, 1);
+    assert.strictEqual(second.id, 2);
+    assert.strictEqual(stores.get('recordings').records.get(1).id, 1);
+    assert.strictEqual(first.duration, 5);
+    assert.strictEqual(first.status, 'pending');
+});
@@ -0,0 +1,120 @@
+/**
+ * Supabase mirror against an in-memory client with the same upsert and
+ * update semantics as supabase-js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load');
+
+function createClient() {
+    const rows = new Map();
+    const objects = new Map();
+    
+    return {
+        rows,
+        objects,
+        storage: {
+            from: () => ({
+                async upload(path, blob) {
+                    objects.set(path, blob);
+                    return { data: { path }, error: null };
+                }
+            })
+        },
+        from: () => ({
+            async upsert(records, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+                for (const record of records) {
+                    const existing = rows.get(record[onConflict]);
+                    if (existing && ignoreDuplicates) continue;
+                    rows.set(record[onConflict], { ...existing, ...record });
+                }
+                return { data: null, error: null };
+            },
+            select() {
+                return {
+                    async in(column, values) {
+                        const data = [...rows.values()]
+                            .filter(row => values.includes(row[column]))
+                            .map(row => ({ id: row.id, transcription_text: row.transcription_text ?? null }));
+                        return { data, error: null };
+                    }
+                };
+            },
+            update(changes) {
+                return {
+                    async eq(column, value) {
+                        for (const row of rows.values()) {
+                            if (row[column] === value) Object.assign(row, changes);
+                        }
+                        return { data: null, error: null };
+                    }
+                };
+            }
+        })
+    };
+}
+
+function setup() {
+    const client = createClient();
+    const { SupabaseService } = loadScripts(['supabase.js'], {
+        window: { supabase: { createClient: () => client } }
+    });
+    SupabaseService.init('https://example.supabase.co', 'anon-key');
+    return { client, SupabaseService };
+}
+
+test('the first mirror inserts the row as pending transcription', async () => {
+    const { client, SupabaseService } = setup();
+    
+    await SupabaseService.uploadAndInsertMetadata(new Blob(['audio'], { type: 'audio/webm' }), 'rec-1', 12, { synced: true, driveId: 'drive-1' });
+    
+    const row = client.rows.get('rec-1');
+    assert.strictEqual(row.transcription_status, 'PENDING');
+    assert.strictEqual(row.synced_to_drive, 1);
+    assert.strictEqual(row.drive_file_id, 'drive-1');
+    assert.ok(client.objects.has('rec-1/rec-1.webm'));
+});
+
+test('a retry keeps the transcription status, created_at and Drive state', async () => {
+    const { client, SupabaseService } = setup();
+    const blob = new Blob(['audio'], { type: 'audio/webm' });
+    
+    await SupabaseService.uploadAndInsertMetadata(blob, 'rec-1', 12, { synced: true, driveId: 'drive-1' });
+    const row = client.rows.get('rec-1');
+    row.transcription_status = 'COMPLETED';
+    row.created_at = '2024-05-01T08:30:00.000Z';
+    
+    await SupabaseService.uploadAndInsertMetadata(blob, 'rec-1', 13);
+    
+    assert.strictEqual(row.transcription_status, 'COMPLETED');
+    assert.strictEqual(row.created_at, '2024-05-01T08:30:00.000Z');
+    assert.strictEqual(row.duration, 13);
+    assert.strictEqual(row.synced_to_drive, 1);
+    assert.strictEqual(row.drive_file_id, 'drive-1');
+});
+
+test('a retry after Drive caught up records the Drive file', async () => {
+    const { client, SupabaseService } = setup();
+    const blob = new Blob(['audio'], { type: 'audio/webm' });
+    
+    await SupabaseService.uploadAndInsertMetadata(blob, 'rec-1', 12);
+    await SupabaseService.uploadAndInsertMetadata(blob, 'rec-1', 12, { synced: true, driveId: 'drive-1' });
+    
+    assert.strictEqual(client.rows.get('rec-1').synced_to_drive, 1);
+    assert.strictEqual(client.rows.get('rec-1').drive_file_id, 'drive-1');
+});
+
+test('transcriptions are read back with edits, by record', async () => {
+    const { client, SupabaseService } = setup();
+    const blob = new Blob(['audio'], { type: 'audio/webm' });
+    
+    await SupabaseService.uploadAndInsertMetadata(blob, 1, 12);
+    await SupabaseService.uploadAndInsertMetadata(blob, 2, 12);
+    client.rows.get(1).transcription_text = 'Edited in Supabase';
+    
+    const transcriptions = await SupabaseService.getTranscriptions([1, 2, 3]);
+    
+    assert.strictEqual(transcriptions.size, 1);
+    assert.strictEqual(transcriptions.get('1'), 'Edited in Supabase');
+});
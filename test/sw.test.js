@@ -0,0 +1,47 @@
+/**
+ * Service worker: loads the page's own scripts in a worker-like scope
+ * (self, but no window or localStorage)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function loadServiceWorker() {
+    const listeners = new Map();
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        URLSearchParams,
+        Blob,
+        crypto: globalThis.crypto,
+        addEventListener: (type, listener) => listeners.set(type, listener),
+        importScripts: (...urls) => {
+            for (const url of urls) {
+                vm.runInContext(fs.readFileSync(path.join(ROOT, url), 'utf8'), context, { filename: url });
+            }
+        }
+    });
+    context.self = context;
+    
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8'), context, { filename: 'sw.js' });
+    return { context, listeners };
+}
+
+test('the service worker loads the page\'s config.js, which has no window or localStorage there', () => {
+    const { context } = loadServiceWorker();
+    const CONFIG = vm.runInContext('CONFIG', context);
+    
+    assert.strictEqual(CONFIG.MAX_RETRY_COUNT, 5);
+    assert.strictEqual(CONFIG.SUPABASE_URL, 'YOUR_SUPABASE_URL');
+});
@@ -0,0 +1,80 @@
+/**
+ * Transcription pipeline, run without the page's App
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load');
+
+function setup({ failUpdate = false } = {}) {
+    const updates = [];
+    const supabase = {
+        from: () => ({
+            update(changes) {
+                return {
+                    async eq(column, value) {
+                        updates.push({ [column]: value, ...changes });
+                        if (failUpdate && changes.transcription_text) {
+                            return { data: null, error: new Error('Row is locked') };
+                        }
+                        return { data: null, error: null };
+                    }
+                };
+            }
+        })
+    };
+    const { TranscribeService } = loadScripts(['transcribe.js'], { SupabaseService: { supabase } });
+    return { TranscribeService, updates };
+}
+
+test('the finished transcript is handed to the caller, not to App', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { TranscribeService, updates } = setup();
+    const saved = [];
+    const done = [];
+    
+    const pipeline = TranscribeService.startTranscriptionPipeline(4, {
+        onTranscript: async (recordId, text) => saved.push([recordId, text]),
+        onDone: (recordId) => done.push(recordId)
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    t.mock.timers.tick(5000);
+    await pipeline;
+    
+    assert.deepStrictEqual(updates.map(update => update.transcription_status), ['IN_PROGRESS', 'COMPLETED']);
+    assert.strictEqual(saved.length, 1);
+    assert.strictEqual(saved[0][0], 4);
+    assert.match(saved[0][1], /Simulated Transcription for 4/);
+    assert.deepStrictEqual(done, [4]);
+});
+
+test('a failed pipeline is marked failed and still reports it is done', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { TranscribeService, updates } = setup({ failUpdate: true });
+    const saved = [];
+    const done = [];
+    
+    const pipeline = TranscribeService.startTranscriptionPipeline(4, {
+        onTranscript: async (recordId, text) => saved.push(text),
+        onDone: (recordId) => done.push(recordId)
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    t.mock.timers.tick(5000);
+    await pipeline;
+    
+    assert.strictEqual(updates[updates.length - 1].transcription_status, 'FAILED');
+    assert.deepStrictEqual(saved, []);
+    assert.deepStrictEqual(done, [4]);
+});
+
+test('the pipeline works with no callbacks at all', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { TranscribeService, updates } = setup();
+    
+    const pipeline = TranscribeService.startTranscriptionPipeline(5);
+    await new Promise(resolve => setImmediate(resolve));
+    t.mock.timers.tick(5000);
+    await pipeline;
+    
+    assert.strictEqual(updates[updates.length - 1].transcription_status, 'COMPLETED');
+});
@@ -0,0 +1,181 @@
+/**
+ * WebDAV destination against a local WebDAV server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createSettingsStore } = require('./helpers/load');
+const { startWebDAVServer } = require('./helpers/webdav-server');
+
+async function setup(t, serverOptions) {
+    const server = await startWebDAVServer(serverOptions);
+    t.after(() => server.close());
+    
+    const store = createSettingsStore();
+    const { WebDAVService } = loadScripts(['templates.js', 'webdav.js'], {
+        StorageService: store,
+        DestinationService: { register() {} },
+        fetch,
+        btoa
+    });
+    return { server, store, WebDAVService };
+}
+
+function makeRecording(content = 'fake opus audio') {
+    return {
+        id: 3,
+        blob: new Blob([content], { type: 'audio/webm' }),
+        fileName: '2024-05-01_08-30-00.webm',
+        drivePath: 'recordings/2024/05/01',
+        timestamp: '2024-05-01T08:30:00.000Z'
+    };
+}
+
+test('wrong credentials are rejected and not saved', async (t) => {
+    const { server, store, WebDAVService } = await setup(t);
+    
+    await assert.rejects(
+        WebDAVService.configure({ url: server.url, username: server.username, password: 'wrong' }),
+        { status: 401, message: 'WebDAV server rejected the username or password' }
+    );
+    assert.strictEqual(store.settings.webdav, undefined);
+    assert.strictEqual(WebDAVService.isAuthenticated(), false);
+});
+
+test('a URL that is not http(s) is refused before contacting the server', async (t) => {
+    const { server, WebDAVService } = await setup(t);
+    
+    await assert.rejects(
+        WebDAVService.configure({ url: 'cloud.example.com', username: 'alice', password: 'x' }),
+        /starting with https/
+    );
+    assert.strictEqual(server.requests.length, 0);
+});
+
+test('configure saves the server, and an empty password keeps the saved one', async (t) => {
+    const { server, store, WebDAVService } = await setup(t);
+    
+    await WebDAVService.configure({ url: `${server.url}/`, username: ` ${server.username} `, password: server.password });
+    assert.deepStrictEqual({ ...WebDAVService.getServer() }, { url: server.url, username: server.username });
+    assert.strictEqual(store.settings.webdav.url, server.url);
+    
+    await WebDAVService.configure({ url: server.url, username: server.username, password: '' });
+    assert.strictEqual(store.settings.webdav.password, server.password);
+    assert.strictEqual(await WebDAVService.authenticate(), true);
+});
+
+test('non-ASCII credentials are sent as UTF-8', async (t) => {
+    const { server, WebDAVService } = await setup(t, { username: 'zoë', password: 'pässwörd' });
+    
+    assert.strictEqual(await WebDAVService.configure({ url: server.url, username: 'zoë', password: 'pässwörd' }), true);
+});
+
+test('uploads go into the folder path, creating it a level at a time', async (t) => {
+    const { server, WebDAVService } = await setup(t);
+    await WebDAVService.configure({ url: server.url, username: server.username, password: server.password });
+    const recording = makeRecording();
+    
+    const progress = [];
+    const result = await WebDAVService.upload(recording, { onProgress: ({ percent }) => progress.push(percent) });
+    
+    const path = `${server.root}/recordings/2024/05/01/${recording.fileName}`;
+    assert.ok(server.collections.has(`${server.root}/recordings/2024/05/01`));
+    assert.strictEqual(server.files.get(path).data.toString(), 'fake opus audio');
+    assert.strictEqual(server.files.get(path).contentType, 'audio/webm');
+    assert.deepStrictEqual(progress, [0, 100]);
+    assert.strictEqual(result.fileName, recording.fileName);
+    assert.strictEqual(result.folderPath, recording.drivePath);
+    assert.strictEqual(await WebDAVService.verify(recording, result), true);
+    
+    // Known folders are not created again
+    server.requests.length = 0;
+    await WebDAVService.upload({ ...makeRecording(), id: 4, fileName: 'second.webm' });
+    assert.deepStrictEqual(server.requests.map(r => r.method), ['PUT']);
+});
+
+test('a recording without a folder path goes into its dated folder, as reported', async (t) => {
+    const { server, WebDAVService } = await setup(t);
+    await WebDAVService.configure({ url: server.url, username: server.username, password: server.password });
+    const recording = { ...makeRecording(), drivePath: undefined, timestamp: '2024-05-01T12:00:00.000Z' };
+    
+    const result = await WebDAVService.upload(recording);
+    
+    assert.strictEqual(result.folderPath, 'recordings/2024/05/01');
+    assert.ok(server.files.has(`${server.root}/${result.folderPath}/${recording.fileName}`));
+});
+
+test('existing folders are reused and names with spaces are encoded', async (t) => {
+    const { server, WebDAVService } = await setup(t);
+    await WebDAVService.configure({ url: server.url, username: server.username, password: server.password });
+    server.collections.add(`${server.root}/Voice notes`);
+    
+    const recording = { ...makeRecording(), drivePath: 'Voice notes/Café', fileName: 'Morning drive #1.webm' };
+    const result = await WebDAVService.upload(recording);
+    
+    assert.ok(server.files.has(`${server.root}/Voice notes/Café/Morning drive #1.webm`));
+    assert.strictEqual(result.remoteId, '/Voice%20notes/Caf%C3%A9/Morning%20drive%20%231.webm');
+    assert.strictEqual(await WebDAVService.verify(recording, result), true);
+});
+
+test('verify fails when the stored file is the wrong size', async (t) => {
+    const { server, WebDAVService } = await setup(t);
+    await WebDAVService.configure({ url: server.url, username: server.username, password: server.password });
+    const recording = makeRecording();
+    
+    const result = await WebDAVService.upload(recording);
+    server.files.get(`${server.root}/recordings/2024/05/01/${recording.fileName}`).data = Buffer.from('cut short');
+    
+    assert.strictEqual(await WebDAVService.verify(recording, result), false);
+});
+
+test('delete removes the file, and a missing file counts as deleted', async (t) => {
+    const { server, WebDAVService } = await setup(t);
+    await WebDAVService.configure({ url: server.url, username: server.username, password: server.password });
+    const result = await WebDAVService.upload(makeRecording());
+    
+    await WebDAVService.delete(result.remoteId);
+    assert.strictEqual(server.files.size, 0);
+    await WebDAVService.delete(result.remoteId);
+});
+
+test('a folder deleted on the server is created again and the upload retried once', async (t) => {
+    const { server, WebDAVService } = await setup(t);
+    await WebDAVService.configure({ url: server.url, username: server.username, password: server.password });
+    
+    // The folder is believed to exist, but was deleted on the server
+    const folder = await WebDAVService.ensureFolder('recordings');
+    server.collections.delete(`${server.root}/recordings`);
+    server.requests.length = 0;
+    
+    const recording = { ...makeRecording(), drivePath: 'recordings' };
+    await WebDAVService.upload(recording, { folder });
+    
+    assert.deepStrictEqual(server.requests.map(r => `${r.method} ${r.status}`), ['PUT 409', 'MKCOL 201', 'PUT 201']);
+    assert.ok(server.files.has(`${server.root}/recordings/${recording.fileName}`));
+});
+
+test('a failed upload reports the status', async (t) => {
+    const { server, WebDAVService } = await setup(t);
+    await WebDAVService.configure({ url: server.url, username: server.username, password: server.password });
+    
+    // A folder is in the way of the file
+    const recording = makeRecording();
+    server.collections.add(`${server.root}/recordings`);
+    server.collections.add(`${server.root}/recordings/2024`);
+    server.collections.add(`${server.root}/recordings/2024/05`);
+    server.collections.add(`${server.root}/recordings/2024/05/01`);
+    server.collections.add(`${server.root}/recordings/2024/05/01/${recording.fileName}`);
+    
+    await assert.rejects(WebDAVService.upload(recording), { status: 405 });
+});
+
+test('signing out forgets the server', async (t) => {
+    const { server, store, WebDAVService } = await setup(t);
+    await WebDAVService.configure({ url: server.url, username: server.username, password: server.password });
+    
+    await WebDAVService.signOut();
+    
+    assert.strictEqual(store.settings.webdav, null);
+    assert.strictEqual(WebDAVService.isAuthenticated(), false);
+    await assert.rejects(WebDAVService.authenticate(), /server details in settings/);
+});